@@ -6,8 +6,8 @@
 var Bitstorm = (function (exports)
 {
     /// Default values exported by the module for expected tick duration,
-    /// minimum tick duration and maximum tick duration. All values are
-    /// expressed in seconds.
+    /// minimum tick duration, maximum tick duration and the rolling statistics
+    /// window. All durations are expressed in seconds.
     const clock = {
         /// The default duration of a single clock tick, specified in seconds. The
         /// default value is 1/60th of a second, or 60 ticks-per-second.
@@ -18,6 +18,261 @@ var Bitstorm = (function (exports)
         /// The minimum reportable tick duration. If a clock tick duration is less
         /// than this value, this value is reported.
         MINIMUM_TICK_DURATION : 1.0 / 1000.0,
+        /// The default number of tick durations kept for computing rolling
+        /// statistics. The default value covers two seconds at 60Hz.
+        DEFAULT_WINDOW_SIZE   : 120,
+        /// A tick whose duration exceeds the expected tick duration by more
+        /// than this factor is counted as a hitch.
+        HITCH_FACTOR          : 2.0,
+        /// The fraction of a fixed time step by which the accumulated time may
+        /// fall short of the step and still run it. This absorbs the rounding
+        /// error from summing tick durations, so that N ticks of one step each
+        /// always run N fixed steps.
+        STEP_TOLERANCE        : 1.0e-6
+    };
+
+    /// Constant values used when reading tar archives. The tar format is a
+    /// sequence of 512-byte blocks; each file is described by a header block
+    /// followed by zero or more data blocks.
+    const tar = {
+        /// The size of a single tar block, in bytes.
+        BLOCK_SIZE            : 512,
+        /// The byte offset and length of each field within a header block.
+        NAME_OFFSET           : 0,   NAME_LENGTH     : 100,
+        MODE_OFFSET           : 100, MODE_LENGTH     : 8,
+        SIZE_OFFSET           : 124, SIZE_LENGTH     : 12,
+        MTIME_OFFSET          : 136, MTIME_LENGTH    : 12,
+        CHECKSUM_OFFSET       : 148, CHECKSUM_LENGTH : 8,
+        TYPE_OFFSET           : 156,
+        LINK_OFFSET           : 157, LINK_LENGTH     : 100,
+        MAGIC_OFFSET          : 257, MAGIC_LENGTH    : 6,
+        PREFIX_OFFSET         : 345, PREFIX_LENGTH   : 155,
+        /// The largest entry size accepted by the streaming reader, which
+        /// buffers the data for each entry.
+        MAX_STREAM_ENTRY_SIZE : 0x7FFFFFFF
+    };
+
+    /// The set of entry type identifiers that may appear in the type field of
+    /// a tar header block. Entries reported to the caller always have one of
+    /// these values in their type field; the extended header types are
+    /// consumed internally by the archive reader.
+    const tar_entry_type = {
+        /// A regular file. Pre-POSIX archives may store '\0' instead.
+        FILE                  : '0',
+        /// A hard link to another entry in the archive.
+        HARD_LINK             : '1',
+        /// A symbolic link.
+        SYMBOLIC_LINK         : '2',
+        /// A character device node.
+        CHARACTER_DEVICE      : '3',
+        /// A block device node.
+        BLOCK_DEVICE          : '4',
+        /// A directory.
+        DIRECTORY             : '5',
+        /// A named pipe.
+        FIFO                  : '6',
+        /// A contiguous file, which is treated as a regular file.
+        CONTIGUOUS_FILE       : '7',
+        /// A pax extended header applying to the next entry only.
+        PAX_HEADER            : 'x',
+        /// A pax extended header applying to all subsequent entries.
+        PAX_GLOBAL_HEADER     : 'g',
+        /// A GNU extension storing the long name of the next entry.
+        GNU_LONG_NAME         : 'L',
+        /// A GNU extension storing the long link name of the next entry.
+        GNU_LONG_LINK         : 'K'
+    };
+
+    /// Constant values used by the IndexedDB-backed content cache.
+    const content_cache = {
+        /// The schema version of the cache database.
+        DATABASE_VERSION      : 1,
+        /// The name of the object store holding one record per package. The
+        /// records are keyed by package name.
+        PACKAGE_STORE         : 'packages',
+        /// The name of the object store holding entry data. The records are
+        /// keyed by the string returned from contentCacheKey().
+        ENTRY_STORE           : 'entries',
+        /// The default maximum number of bytes of entry data to keep cached.
+        DEFAULT_BUDGET        : 256 * 1024 * 1024,
+        /// The minimum interval between writes of a package's last-access
+        /// time to the database, in milliseconds.
+        ACCESS_WRITE_INTERVAL : 60 * 1000
+    };
+
+    /// Default values used by the content downloader.
+    const download = {
+        /// The default maximum number of simultaneously active requests.
+        DEFAULT_CONCURRENCY   : 4,
+        /// The default number of times a failed request is retried.
+        DEFAULT_RETRY_COUNT   : 3,
+        /// The default delay before the first retry, in milliseconds.
+        DEFAULT_RETRY_DELAY   : 500,
+        /// The default factor by which the retry delay grows per attempt.
+        DEFAULT_RETRY_BACKOFF : 2.0
+    };
+
+    /// The set of values for the status field of a download request.
+    const download_status = {
+        /// The request is waiting for a free download slot.
+        QUEUED                : 0,
+        /// The request is actively transferring data.
+        ACTIVE                : 1,
+        /// The request failed and is waiting to be retried.
+        RETRY_WAIT            : 2,
+        /// The request completed successfully.
+        COMPLETE              : 3,
+        /// The request failed and will not be retried.
+        FAILED                : 4,
+        /// The request was cancelled by the application.
+        CANCELLED             : 5
+    };
+
+    /// Tables used by the inflate (RFC 1951) implementation.
+    const inflate_table = {
+        /// The maximum length of a Huffman code, in bits.
+        MAX_BITS              : 15,
+        /// The largest factor by which deflate can expand its input.
+        MAX_EXPANSION         : 1032,
+        /// The largest initial output buffer size, in bytes. The buffer is
+        /// grown as data is produced if the output is larger.
+        MAX_INITIAL_OUTPUT    : 0x1000000,
+        /// The base match length for length symbols 257 through 285.
+        LENGTH_BASE           : [
+            3,   4,   5,   6,   7,   8,   9,  10,  11,  13,  15,  17,  19,  23,
+            27,  31,  35,  43,  51,  59,  67,  83,  99, 115, 131, 163, 195, 227,
+            258
+        ],
+        /// The number of extra bits for length symbols 257 through 285.
+        LENGTH_EXTRA          : [
+            0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4,
+            4, 4, 5, 5, 5, 5, 0
+        ],
+        /// The base match distance for distance symbols 0 through 29.
+        DIST_BASE             : [
+            1,     2,     3,     4,     5,     7,     9,    13,    17,    25,
+            33,    49,    65,    97,   129,   193,   257,   385,   513,   769,
+            1025,  1537,  2049,  3073,  4097,  6145,  8193, 12289, 16385, 24577
+        ],
+        /// The number of extra bits for distance symbols 0 through 29.
+        DIST_EXTRA            : [
+            0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9,
+            10, 10, 11, 11, 12, 12, 13, 13
+        ],
+        /// The order in which code length code lengths are stored.
+        CODE_LENGTH_ORDER     : [
+            16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15
+        ]
+    };
+
+    /// The set of decoder states for a resumable inflate operation.
+    const inflate_mode = {
+        /// Reading the gzip or zlib stream header.
+        HEADER                : 0,
+        /// Reading the header of the next deflate block.
+        BLOCK                 : 1,
+        /// Copying the contents of a stored (uncompressed) block.
+        STORED                : 2,
+        /// Decoding the contents of a Huffman-coded block.
+        CODES                 : 3,
+        /// Reading the gzip or zlib stream trailer.
+        TRAILER               : 4,
+        /// Decompression has finished.
+        DONE                  : 5
+    };
+
+    /// The CRC-32 lookup table, built the first time crc32() is called.
+    var crc32_table = null;
+
+    /// The SHA-256 round constants.
+    const sha256_k  = new Int32Array([
+        0x428A2F98, 0x71374491, 0xB5C0FBCF, 0xE9B5DBA5, 0x3956C25B, 0x59F111F1,
+        0x923F82A4, 0xAB1C5ED5, 0xD807AA98, 0x12835B01, 0x243185BE, 0x550C7DC3,
+        0x72BE5D74, 0x80DEB1FE, 0x9BDC06A7, 0xC19BF174, 0xE49B69C1, 0xEFBE4786,
+        0x0FC19DC6, 0x240CA1CC, 0x2DE92C6F, 0x4A7484AA, 0x5CB0A9DC, 0x76F988DA,
+        0x983E5152, 0xA831C66D, 0xB00327C8, 0xBF597FC7, 0xC6E00BF3, 0xD5A79147,
+        0x06CA6351, 0x14292967, 0x27B70A85, 0x2E1B2138, 0x4D2C6DFC, 0x53380D13,
+        0x650A7354, 0x766A0ABB, 0x81C2C92E, 0x92722C85, 0xA2BFE8A1, 0xA81A664B,
+        0xC24B8B70, 0xC76C51A3, 0xD192E819, 0xD6990624, 0xF40E3585, 0x106AA070,
+        0x19A4C116, 0x1E376C08, 0x2748774C, 0x34B0BCB5, 0x391C0CB3, 0x4ED8AA4A,
+        0x5B9CCA4F, 0x682E6FF3, 0x748F82EE, 0x78A5636F, 0x84C87814, 0x8CC70208,
+        0x90BEFFFA, 0xA4506CEB, 0xBEF9A3F7, 0xC67178F2
+    ]);
+
+    /// Default values used by the development hot-reload client.
+    const hot_reload = {
+        /// The default URL of the development server's WebSocket endpoint.
+        DEFAULT_URL           : 'ws://localhost:8080/',
+        /// The delay before reconnecting after the connection to the server
+        /// is lost, specified in milliseconds.
+        RECONNECT_DELAY       : 2000
+    };
+
+    /// Limits and sentinel values used by object lists.
+    const object_list = {
+        /// The index value stored for an object list slot that is not in use.
+        INVALID_INDEX         : -1,
+        /// The largest object ID an object list will hand out. Keeping IDs
+        /// within the positive 32-bit integer range means that bitwise
+        /// operations on IDs are always exact.
+        MAXIMUM_ID            : 0x7FFFFFFF,
+        /// The largest maximum capacity of a growable object list. This leaves
+        /// at least 128 generations for each slot.
+        MAXIMUM_CAPACITY      : 0x1000000
+    };
+
+    /// Default values used by the entity-component system.
+    const ecs = {
+        /// The default maximum number of entities in a world.
+        DEFAULT_MAX_ENTITIES  : 0x10000,
+        /// The initial capacity of the entity and component object lists.
+        INITIAL_CAPACITY      : 64
+    };
+
+    /// Maps the field type names accepted by createStructList() to the typed
+    /// array constructors used to store each field.
+    const struct_field_type = {
+        'int8'                : Int8Array,
+        'uint8'               : Uint8Array,
+        'int16'               : Int16Array,
+        'uint16'              : Uint16Array,
+        'int32'               : Int32Array,
+        'uint32'              : Uint32Array,
+        'float32'             : Float32Array,
+        'float64'             : Float64Array
+    };
+
+    /// Default values used when synchronizing a clock with a server clock.
+    const time_sync = {
+        /// The default number of samples used to estimate the clock offset.
+        SAMPLE_COUNT          : 8,
+        /// Samples whose round-trip time exceeds the median round-trip time
+        /// by more than this factor are discarded as outliers.
+        OUTLIER_RTT_FACTOR    : 1.5,
+        /// The default rate at which the clock offset is slewed towards the
+        /// estimated offset, in seconds of correction per second.
+        SLEW_RATE             : 0.05,
+        /// The default error, in seconds, above which the clock offset is set
+        /// directly to the estimated offset instead of being slewed.
+        SNAP_THRESHOLD        : 1.0
+    };
+
+    /// Policies for handling the events remaining in the current dispatch
+    /// cycle of a state machine when the current state changes.
+    const event_policy = {
+        /// Dispatch the remaining events to the new state.
+        KEEP                  : 0,
+        /// Discard the remaining events.
+        DROP                  : 1,
+        /// Dispatch the remaining events to the new state during the next
+        /// update, ahead of events of the same priority posted later.
+        DEFER                 : 2
+    };
+
+    /// Default values used by state machine trace recorders.
+    const state_trace = {
+        /// The default number of records stored by a trace recorder.
+        DEFAULT_CAPACITY      : 1024
     };
 
     /// Constructs a new clock state object initialized with the specified
@@ -28,11 +283,17 @@ var Bitstorm = (function (exports)
     /// @param maxDuration The maximum reportable tick duration, in seconds.
     /// @param now The current time value, in milliseconds. Typically, the
     /// value returned by Date.now() is passed.
+    /// @param windowSize The number of most recent tick durations used to
+    /// compute rolling statistics. Defaults to clock.DEFAULT_WINDOW_SIZE.
     /// @return A new object representing the clock state.
-    function createClock(expDuration, minDuration, maxDuration, now)
+    function createClock(expDuration, minDuration, maxDuration, now, windowSize)
     {
         var tmpDuration         = 0.0;
         if (isNaN(now)) now     = 0.0;
+        if (isNaN(windowSize) || windowSize < 1)
+        {
+            windowSize          = clock.DEFAULT_WINDOW_SIZE;
+        }
         if (isNaN(expDuration)) expDuration = clock.DEFAULT_TICK_DURATION;
         if (isNaN(minDuration)) minDuration = clock.MINIMUM_TICK_DURATION;
         if (isNaN(maxDuration)) maxDuration = clock.MAXIMUM_TICK_DURATION;
@@ -50,18 +311,76 @@ var Bitstorm = (function (exports)
             lastTimeValue       : now,
             tickCount           : 0,
             tickDuration        : expDuration,
+            realTickDuration    : expDuration,
             clientTime          : 0.0,
+            realTime            : 0.0,
             serverTime          : 0.0,
             serverTimeOffset    : 0.0,
+            timeScale           : 1.0,
+            paused              : false,
+            pendingSteps        : 0,   /* ticks to advance while paused    */
             defaultTickDuration : expDuration,
             maximumTickLength   : maxDuration,
             minimumTickLength   : minDuration,
             maximumTickDuration : minDuration, // @note: intentional
-            minimumTickDuration : maxDuration  // @note: intentional
+            minimumTickDuration : maxDuration, // @note: intentional
+            hitchThreshold      : expDuration * clock.HITCH_FACTOR,
+            hitchCount          : 0,   /* hitches within the sample window */
+            sampleWindow        : new Float64Array(windowSize),
+            sampleScratch       : new Float64Array(windowSize),
+            sampleIndex         : 0,   /* ring buffer insertion index      */
+            sampleCount         : 0,   /* number of valid samples          */
+            sampleSum           : 0.0, /* sum of the samples in the window */
+            sampleSumSquares    : 0.0  /* sum of the squared samples       */
         };
     }
 
-    /// Updates a clock state with a new time sample value.
+    /// Records a tick duration in the rolling statistics window of a clock,
+    /// replacing the oldest sample once the window is full.
+    /// @param state The clock state object to update.
+    /// @param duration The unclamped tick duration, in seconds.
+    function clockRecordSample(state, duration)
+    {
+        var samples = state.sampleWindow;
+        var index   = state.sampleIndex;
+        if (state.sampleCount === samples.length)
+        {
+            var old = samples[index];
+            state.sampleSum        -= old;
+            state.sampleSumSquares -= old * old;
+            if (old > state.hitchThreshold) state.hitchCount--;
+        }
+        else state.sampleCount++;
+        samples[index]           = duration;
+        state.sampleSum        += duration;
+        state.sampleSumSquares += duration * duration;
+        if (duration > state.hitchThreshold) state.hitchCount++;
+        state.sampleIndex       = (index + 1) % samples.length;
+        if (state.sampleIndex === 0)
+        {
+            // recompute the sums once per window so that rounding errors from
+            // the running updates cannot accumulate indefinitely. this also
+            // picks up any change to the hitch threshold.
+            var sum = 0.0;
+            var sq  = 0.0;
+            var hc  = 0;
+            for (var i = 0, n = state.sampleCount; i < n; ++i)
+            {
+                sum += samples[i];
+                sq  += samples[i] * samples[i];
+                if (samples[i] > state.hitchThreshold) hc++;
+            }
+            state.sampleSum        = sum;
+            state.sampleSumSquares = sq;
+            state.hitchCount       = hc;
+        }
+    }
+
+    /// Updates a clock state with a new time sample value. The clientTime and
+    /// tickDuration values are scaled by the clock's time scale and do not
+    /// advance while the clock is paused, except when stepping. The realTime,
+    /// realTickDuration, serverTime and statistics values always track the
+    /// actual elapsed wall time.
     /// @param state The clock state object to update.
     /// @param sampleTime The time sample value used to update the clock,
     /// specified in milliseconds.
@@ -84,16 +403,18 @@ var Bitstorm = (function (exports)
         }
 
         // update the clock state members.
-        state.lastTimeValue  = sampleTime;
-        state.tickDuration   = duration;  // report possibly clamped duration
-        state.clientTime    += tickDelta; // keep absolute time correct
-        state.serverTime     = state.clientTime + state.serverTimeOffset;
-        state.tickCount     += 1;
+        state.lastTimeValue    = sampleTime;
+        state.realTickDuration = duration;  // report possibly clamped duration
+        state.realTime        += tickDelta; // keep absolute time correct
+        state.serverTime       = state.realTime + state.serverTimeOffset;
+        state.tickCount       += 1;
+        clockAdvance(state, duration, tickDelta);
+        clockRecordSample(state, tickDelta);
 
         // update the minimum and maximum observed tick duration. only update
         // these values after one second of sample data has been gathered and
         // timing values start to settle down.
-        if (state.clientTime > 1.0)
+        if (state.realTime > 1.0)
         {
             if (tickDelta < state.minimumTickDuration)
             {
@@ -117,44 +438,462 @@ var Bitstorm = (function (exports)
     /// @return The input object @a state.
     function resumeClock(state, resumeTime)
     {
-        state.lastTimeValue = resumeTime;
-        state.tickDuration  = state.defaultTickDuration;
-        state.clientTime   += state.defaultTickDuration;
-        state.serverTime    = state.clientTime + state.serverTimeOffset;
-        state.tickCount    += 1;
+        var duration           = state.defaultTickDuration;
+        state.lastTimeValue    = resumeTime;
+        state.realTickDuration = duration;
+        state.realTime        += duration;
+        state.serverTime       = state.realTime + state.serverTimeOffset;
+        state.tickCount       += 1;
+        clockAdvance(state, duration, duration);
         // @note: don't update min/max tick durations.
         return state;
     }
 
+    /// Advances the scaled client time of a clock by one tick, taking into
+    /// account the time scale, paused and single-step state of the clock.
+    /// @param state The clock state object to update.
+    /// @param duration The possibly clamped real tick duration, in seconds.
+    /// @param elapsed The unclamped real tick duration, in seconds.
+    function clockAdvance(state, duration, elapsed)
+    {
+        if (state.paused)
+        {
+            if (state.pendingSteps > 0)
+            {
+                // advance by exactly one expected tick duration.
+                state.pendingSteps -= 1;
+                state.tickDuration  = state.defaultTickDuration;
+                state.clientTime   += state.defaultTickDuration;
+            }
+            else state.tickDuration = 0.0;
+        }
+        else
+        {
+            state.tickDuration = duration * state.timeScale;
+            state.clientTime  += elapsed  * state.timeScale;
+        }
+    }
+
+    /// Sets the rate at which the client time of a clock advances relative to
+    /// real time; for example, 0.5 for slow motion or 2.0 for fast-forward.
+    /// @param state The clock state object to update.
+    /// @param scale The time scale factor. Negative values are treated as zero.
+    /// @return The input object @a state.
+    function clockSetTimeScale(state, scale)
+    {
+        state.timeScale = (isNaN(scale) || scale < 0.0) ? 0.0 : scale;
+        return state;
+    }
+
+    /// Pauses or unpauses a clock. While paused, the client time does not
+    /// advance and the reported tick duration is zero. Unpausing discards any
+    /// single steps that have not yet been taken.
+    /// @param state The clock state object to update.
+    /// @param paused true to pause the clock, or false to resume it.
+    /// @return The input object @a state.
+    function clockSetPaused(state, paused)
+    {
+        state.paused       = paused ? true : false;
+        state.pendingSteps = 0;
+        return state;
+    }
+
+    /// Pauses a clock, if it is not already paused, and requests that the
+    /// client time advance by a number of ticks of the expected tick duration.
+    /// Each subsequent call to updateClock() takes a single step.
+    /// @param state The clock state object to update.
+    /// @param count The number of ticks to advance. Defaults to 1.
+    /// @return The input object @a state.
+    function clockStep(state, count)
+    {
+        if (isNaN(count) || count < 1) count = 1;
+        state.paused        = true;
+        state.pendingSteps += Math.floor(count);
+        return state;
+    }
+
     /// Computes the current, minimum and maximum number of ticks-per-second
-    /// for a given clock instance.
+    /// for a given clock instance, along with statistics computed over the
+    /// rolling window of recent tick durations. No memory is allocated unless
+    /// @a result is not specified.
     /// @param state The clock state object to query.
     /// @param result The object used to store the updated clock statistics.
-    /// This object is updated with currentTPS, minimumTPS and maximumTPS
-    /// properties. If this reference is null or undefined, a new object is
-    /// created and returned.
-    /// @return An object with currentTPS, minimumTPS and maximumTPS
-    /// properties. If specified, the @a result object is returned; otherwise,
-    /// a new object is returned.
+    /// If this reference is null or undefined, a new object is created and
+    /// returned.
+    /// @return An object with the following properties. If specified, the
+    /// @a result object is returned; otherwise, a new object is returned.
+    /// obj.currentTPS The number of ticks-per-second for the last tick.
+    /// obj.minimumTPS The all-time minimum ticks-per-second.
+    /// obj.maximumTPS The all-time maximum ticks-per-second.
+    /// obj.averageTPS The average ticks-per-second over the window.
+    /// obj.averageDuration The mean tick duration over the window, in seconds.
+    /// obj.deviation The standard deviation of the tick duration, in seconds.
+    /// obj.p50Duration The median tick duration over the window, in seconds.
+    /// obj.p95Duration The 95th percentile tick duration, in seconds.
+    /// obj.p99Duration The 99th percentile tick duration, in seconds.
+    /// obj.hitchCount The number of ticks in the window whose duration
+    /// exceeded the hitch threshold of the clock.
+    /// obj.sampleCount The number of ticks in the window.
     function clockStatistics(state, result)
     {
+        var count   = state.sampleCount;
+        var scratch = state.sampleScratch;
+        var mean    = 0.0;
+        var sdev    = 0.0;
         if (!result)
         {
-            result = {
-                currentTPS    : 1.0 / state.tickDuration,
-                minimumTPS    : 1.0 / state.maximumTickDuration,
-                maximumTPS    : 1.0 / state.minimumTickDuration
+            result  = {
+                currentTPS      : 0.0,
+                minimumTPS      : 0.0,
+                maximumTPS      : 0.0,
+                averageTPS      : 0.0,
+                averageDuration : 0.0,
+                deviation       : 0.0,
+                p50Duration     : 0.0,
+                p95Duration     : 0.0,
+                p99Duration     : 0.0,
+                hitchCount      : 0,
+                sampleCount     : 0
             };
         }
-        else
+        result.currentTPS  = 1.0 / state.realTickDuration;
+        result.minimumTPS  = 1.0 / state.maximumTickDuration;
+        result.maximumTPS  = 1.0 / state.minimumTickDuration;
+        result.hitchCount  = state.hitchCount;
+        result.sampleCount = count;
+        if (count === 0)
         {
-            result.currentTPS = 1.0 / state.tickDuration;
-            result.minimumTPS = 1.0 / state.maximumTickDuration;
-            result.maximumTPS = 1.0 / state.minimumTickDuration;
+            // no ticks have been recorded yet; report the expected duration.
+            mean = state.defaultTickDuration;
+            result.averageTPS      = 1.0 / mean;
+            result.averageDuration = mean;
+            result.deviation       = 0.0;
+            result.p50Duration     = mean;
+            result.p95Duration     = mean;
+            result.p99Duration     = mean;
+            return result;
         }
+        mean = state.sampleSum / count;
+        sdev = state.sampleSumSquares / count - mean * mean;
+        result.averageTPS      = mean > 0.0 ? 1.0 / mean : 0.0;
+        result.averageDuration = mean;
+        result.deviation       = sdev > 0.0 ? Math.sqrt(sdev) : 0.0;
+
+        // sort a copy of the window to find the percentiles. unused slots are
+        // filled with Infinity so that they sort after all valid samples.
+        scratch.set(state.sampleWindow);
+        scratch.fill(Infinity, count);
+        scratch.sort();
+        result.p50Duration = scratch[Math.ceil(0.50 * count) - 1];
+        result.p95Duration = scratch[Math.ceil(0.95 * count) - 1];
+        result.p99Duration = scratch[Math.ceil(0.99 * count) - 1];
         return result;
     }
 
+    /// Creates a virtual time source for driving a clock deterministically,
+    /// for example when running unit tests under Node.js. The time value only
+    /// changes when virtualTimeAdvance() is called.
+    /// @param startTime The initial time value, in milliseconds. Defaults to 0.
+    /// @return A new object representing the time source. The current time
+    /// value, in milliseconds, is stored in the time field.
+    function createVirtualTime(startTime)
+    {
+        return {
+            time : isNaN(startTime) ? 0.0 : startTime
+        };
+    }
+
+    /// Advances a virtual time source.
+    /// @param source The virtual time source.
+    /// @param milliseconds The amount of time to advance, in milliseconds.
+    /// @return The new time value of the source, in milliseconds.
+    function virtualTimeAdvance(source, milliseconds)
+    {
+        source.time += milliseconds;
+        return source.time;
+    }
+
+    /// Creates a frame driver, which implements the fixed time step update
+    /// loop used by real-time applications. Each frame, the driver updates the
+    /// clock and invokes the tick callback, followed by the simulate callback
+    /// zero or more times with a fixed time step, followed by the present
+    /// callback. The driver does not schedule frames itself; call the function
+    /// frameDriverStep() from a requestAnimationFrame callback, or drive it
+    /// manually using frameDriverAdvance() and a virtual time source.
+    /// @param clockState The clock state object updated by the driver. See the
+    /// createClock() function.
+    /// @param logicStep The fixed simulation time step, in seconds. Defaults
+    /// to the expected tick duration of the clock.
+    /// @param callbacks An object specifying the callback functions:
+    /// callbacks.tick A function (elapsedTime, currentTime) : boolean invoked
+    /// once per frame. Return false to cancel the remainder of the frame.
+    /// callbacks.simulate A function (elapsedTime, currentTime) : void invoked
+    /// with the fixed time step and the current simulation time.
+    /// callbacks.present A function (elapsedTime, currentTime, tickTime) : void
+    /// invoked once per frame, where tickTime in [0, 1] specifies how far
+    /// the frame is into the next simulation step.
+    /// @return A new object representing the frame driver state.
+    function createFrameDriver(clockState, logicStep, callbacks)
+    {
+        callbacks = callbacks || {};
+        if (isNaN(logicStep) || logicStep <= 0.0)
+        {
+            logicStep = clockState.defaultTickDuration;
+        }
+        return {
+            clock           : clockState,
+            logicStep       : logicStep,
+            simulationTime  : 0.0, /* simulation time, in seconds       */
+            timeAccumulator : 0.0, /* unsimulated time, in seconds      */
+            simulationCount : 0,   /* total number of simulation ticks  */
+            frameCount      : 0,   /* total number of frames            */
+            tick            : callbacks.tick     || null,
+            simulate        : callbacks.simulate || null,
+            present         : callbacks.present  || null
+        };
+    }
+
+    /// Executes a single frame of a frame driver.
+    /// @param driver The frame driver.
+    /// @param sampleTime The current time value, in milliseconds.
+    /// @return false if the tick callback cancelled the frame, or true.
+    function frameDriverStep(driver, sampleTime)
+    {
+        var clockState  = driver.clock;
+        var logicStep   = driver.logicStep;
+        var threshold   = logicStep * (1.0 - clock.STEP_TOLERANCE);
+        var currentTime = 0.0;
+        var elapsedTime = 0.0;
+
+        // indicate the start of a new tick on the clock.
+        updateClock(clockState, sampleTime);
+        currentTime     = clockState.clientTime;
+        elapsedTime     = clockState.tickDuration;
+        driver.frameCount += 1;
+
+        // always execute the tick callback.
+        if (driver.tick && !driver.tick(elapsedTime, currentTime))
+        {
+            return false;
+        }
+
+        // start out with all of the time from the current tick plus any left
+        // over time from the prior tick(s), and step at a fixed rate until
+        // less than one time step remains.
+        driver.timeAccumulator        += elapsedTime;
+        while (driver.timeAccumulator >= threshold)
+        {
+            if (driver.simulate) driver.simulate(logicStep, driver.simulationTime);
+            driver.simulationTime     += logicStep;
+            driver.timeAccumulator    -= logicStep;
+            driver.simulationCount    += 1;
+        }
+        if (driver.timeAccumulator < 0.0)
+        {
+            // the step ran slightly early; discard the rounding error.
+            driver.timeAccumulator     = 0.0;
+        }
+
+        // present only once simulation state is available. the unused portion
+        // of the accumulator is used to interpolate between the last two
+        // simulation states. See:
+        // http://gafferongames.com/game-physics/fix-your-timestep/
+        if (driver.simulationCount > 0 && driver.present)
+        {
+            var t = driver.timeAccumulator / logicStep; // in [0, 1].
+            driver.present(elapsedTime, currentTime, t);
+        }
+        return true;
+    }
+
+    /// Drives a frame driver manually, advancing a virtual time source by a
+    /// given amount of time in fixed-duration frames. The same arguments
+    /// always produce exactly the same sequence of frames and callbacks.
+    /// @param driver The frame driver.
+    /// @param source The virtual time source used to update the clock. The
+    /// clock should have been created with the initial time of the source.
+    /// @param seconds The amount of time to advance, in seconds.
+    /// @param frameDuration The duration of each frame, in seconds. Defaults
+    /// to the expected tick duration of the clock. If @a seconds is not a
+    /// multiple of the frame duration, the final frame is shorter.
+    /// @return The number of frames executed. Fewer frames are executed if the
+    /// tick callback cancels a frame.
+    function frameDriverAdvance(driver, source, seconds, frameDuration)
+    {
+        if (isNaN(frameDuration) || frameDuration <= 0.0)
+        {
+            frameDuration = driver.clock.defaultTickDuration;
+        }
+        var epsilon   = 1.0e-9;
+        var whole     = Math.floor(seconds / frameDuration + epsilon);
+        var remainder = seconds - whole * frameDuration;
+        var frames    = 0;
+        for (var i    = 0; i < whole; ++i)
+        {
+            virtualTimeAdvance(source, frameDuration * 1000.0);
+            frames   += 1;
+            if (!frameDriverStep(driver, source.time)) return frames;
+        }
+        if (remainder > epsilon)
+        {
+            virtualTimeAdvance(source, remainder * 1000.0);
+            frames   += 1;
+            frameDriverStep(driver, source.time);
+        }
+        return frames;
+    }
+
+    /// Creates the state used to synchronize a clock with a remote server clock
+    /// using NTP-style request/response samples. The synchronization state is
+    /// independent of the transport; the application sends a request stamped
+    /// with the local clock time, the server replies with its own time, and the
+    /// timestamps are passed to timeSyncAddSample(). Call timeSyncUpdate() on
+    /// each tick to slew the serverTimeOffset of a clock towards the estimate.
+    /// @param sampleCount The number of most recent samples used to estimate
+    /// the clock offset. Defaults to time_sync.SAMPLE_COUNT.
+    /// @param slewRate The maximum rate at which the clock offset is adjusted,
+    /// in seconds of correction per second of elapsed time.
+    /// @param snapThreshold The offset error, in seconds, above which the clock
+    /// offset is set directly rather than slewed.
+    /// @return A new object representing the synchronization state.
+    function createTimeSync(sampleCount, slewRate, snapThreshold)
+    {
+        if (isNaN(sampleCount) || sampleCount < 1)
+        {
+            sampleCount = time_sync.SAMPLE_COUNT;
+        }
+        if (isNaN(slewRate)      || slewRate <= 0.0)
+        {
+            slewRate    = time_sync.SLEW_RATE;
+        }
+        if (isNaN(snapThreshold) || snapThreshold < 0.0)
+        {
+            snapThreshold = time_sync.SNAP_THRESHOLD;
+        }
+        return {
+            offsets       : new Float64Array(sampleCount),
+            roundTrips    : new Float64Array(sampleCount),
+            scratch       : new Float64Array(sampleCount),
+            sampleCount   : 0,   /* number of valid samples         */
+            nextSample    : 0,   /* ring buffer insertion index     */
+            offset        : 0.0, /* estimated server - client time  */
+            roundTripTime : 0.0, /* estimated round-trip time       */
+            valid         : false,
+            synchronized  : false,
+            slewRate      : slewRate,
+            snapThreshold : snapThreshold
+        };
+    }
+
+    /// Computes the median of the first @a count values of a typed array. The
+    /// values are sorted in place.
+    /// @param values A Float64Array of values.
+    /// @param count The number of values to consider.
+    /// @return The median value.
+    function medianOf(values, count)
+    {
+        var view = values.subarray(0, count).sort();
+        var half = count >> 1;
+        return (count & 1) ? view[half] : 0.5 * (view[half - 1] + view[half]);
+    }
+
+    /// Adds a request/response timestamp sample to a time synchronization
+    /// state and updates the estimated clock offset and round-trip time. The
+    /// local times are typically the realTime of the clock being synced.
+    /// @param sync The time synchronization state.
+    /// @param clientSend The local time at which the request was sent.
+    /// @param serverReceive The server time at which the request was received.
+    /// @param serverSend The server time at which the response was sent. If the
+    /// server reports a single timestamp, pass the same value as serverReceive.
+    /// @param clientReceive The local time at which the response was received.
+    /// @return true if the sample was accepted, or false if it was invalid.
+    function timeSyncAddSample(sync, clientSend, serverReceive, serverSend, clientReceive)
+    {
+        var rtt    = (clientReceive - clientSend) - (serverSend - serverReceive);
+        var offset = ((serverReceive - clientSend) + (serverSend - clientReceive)) * 0.5;
+        if (isNaN(rtt) || isNaN(offset) || rtt < 0.0)
+        {
+            return false;
+        }
+        var size   = sync.offsets.length;
+        sync.offsets   [sync.nextSample] = offset;
+        sync.roundTrips[sync.nextSample] = rtt;
+        sync.nextSample = (sync.nextSample + 1) % size;
+        if (sync.sampleCount < size) sync.sampleCount++;
+
+        // samples with a long round trip are the most likely to have been
+        // delayed asymmetrically, so they are discarded as outliers. the
+        // estimate is the average offset of the remaining samples.
+        var count  = sync.sampleCount;
+        sync.scratch.set(sync.roundTrips.subarray(0, count));
+        var limit  = medianOf(sync.scratch, count) * time_sync.OUTLIER_RTT_FACTOR;
+        var sumO   = 0.0;
+        var sumR   = 0.0;
+        var kept   = 0;
+        for (var i = 0;  i < count; ++i)
+        {
+            if (sync.roundTrips[i] <= limit)
+            {
+                sumO  += sync.offsets[i];
+                sumR  += sync.roundTrips[i];
+                kept  += 1;
+            }
+        }
+        if (kept === 0)
+        {
+            // every sample had a zero round-trip time.
+            sync.scratch.set(sync.offsets.subarray(0, count));
+            sumO  = medianOf(sync.scratch, count);
+            sumR  = 0.0;
+            kept  = 1;
+        }
+        sync.offset        = sumO / kept;
+        sync.roundTripTime = sumR / kept;
+        sync.valid         = true;
+        return true;
+    }
+
+    /// Adjusts the serverTimeOffset of a clock towards the offset estimated by
+    /// a time synchronization state. The offset is slewed gradually so that
+    /// server time never jumps, unless the error exceeds the snap threshold or
+    /// no offset has been applied yet. Call this after updateClock().
+    /// @param sync The time synchronization state.
+    /// @param state The clock state object to update.
+    /// @return The input object @a state.
+    function timeSyncUpdate(sync, state)
+    {
+        if (!sync.valid)
+        {
+            return state;
+        }
+        var error = sync.offset - state.serverTimeOffset;
+        var step  = sync.slewRate * state.realTickDuration;
+        if (!sync.synchronized || Math.abs(error) > sync.snapThreshold)
+        {
+            state.serverTimeOffset = sync.offset;
+            sync.synchronized      = true;
+        }
+        else if (error >  step) state.serverTimeOffset += step;
+        else if (error < -step) state.serverTimeOffset -= step;
+        else state.serverTimeOffset = sync.offset;
+        state.serverTime = state.realTime + state.serverTimeOffset;
+        return state;
+    }
+
+    /// Discards all samples held by a time synchronization state, for example
+    /// after reconnecting to a different server. The clock offset is set
+    /// directly from the next estimate.
+    /// @param sync The time synchronization state.
+    function timeSyncReset(sync)
+    {
+        sync.sampleCount   = 0;
+        sync.nextSample    = 0;
+        sync.offset        = 0.0;
+        sync.roundTripTime = 0.0;
+        sync.valid         = false;
+        sync.synchronized  = false;
+    }
+
     /// Implements a generic object constructor function that either returns
     /// the arguments passed to the objectListAllocate() function, or, if
     /// @a args is null or undefined, a new, empty object instance.
@@ -185,6 +924,13 @@ var Bitstorm = (function (exports)
 
     /// Creates and initializes a new object list instance. The object list
     /// can provide handles for up to @a max_objects - 1 active objects.
+    ///
+    /// Each object ID combines a slot index, in the low bits, with a slot
+    /// generation, in the high bits, which is incremented each time the slot
+    /// is reused so that IDs of deleted objects never refer to new objects.
+    /// IDs never exceed object_list.MAXIMUM_ID; once the generation of a slot
+    /// is exhausted, the slot is retired and is never used again, so that the
+    /// capacity of the list is reduced by one.
     /// @param maxObjects The maximum number of objects of the type managed
     /// by the object list. This value must be a power of two less than or
     /// equal to 65536 (0xFFFF).
@@ -210,37 +956,110 @@ var Bitstorm = (function (exports)
             // maxObjects must be a power-of-two <= 0xFFFF.
             return null;
         }
+        return initObjectList(maxObjects, maxObjects, ctorFunc, dtorFunc);
+    }
+
+    /// Creates and initializes a new object list instance whose capacity is
+    /// doubled, up to a maximum, whenever an allocation would otherwise fail.
+    /// Growing the list does not change the IDs of existing objects. All of
+    /// the objectList functions may be used with the returned list.
+    /// @param initialCapacity The initial capacity of the list. This value
+    /// must be a power of two greater than one.
+    /// @param maxCapacity The capacity beyond which the list will not grow.
+    /// This value must be a power of two, no less than @a initialCapacity and
+    /// no more than object_list.MAXIMUM_CAPACITY. Larger values leave fewer
+    /// generations for each slot before the slot is retired.
+    /// @param ctorFunc The object constructor. See createObjectList().
+    /// @param dtorFunc The object destructor. See createObjectList().
+    /// @return The new object list instance, or null.
+    function createGrowableObjectList(initialCapacity, maxCapacity, ctorFunc, dtorFunc)
+    {
+        var initialIsPow2 = (initialCapacity & (initialCapacity - 1)) == 0;
+        var maximumIsPow2 = (maxCapacity     & (maxCapacity     - 1)) == 0;
+        if (!initialIsPow2 || !maximumIsPow2 || initialCapacity < 2 ||
+            initialCapacity > maxCapacity    || maxCapacity > object_list.MAXIMUM_CAPACITY)
+        {
+            return null;
+        }
+        return initObjectList(initialCapacity, maxCapacity, ctorFunc, dtorFunc);
+    }
 
+    /// Implements the common initialization for createObjectList() and
+    /// createGrowableObjectList().
+    /// @param capacity The initial capacity of the list.
+    /// @param maxCapacity The maximum capacity of the list.
+    /// @param ctorFunc The object constructor. See createObjectList().
+    /// @param dtorFunc The object destructor. See createObjectList().
+    /// @return The new object list instance.
+    function initObjectList(capacity, maxCapacity, ctorFunc, dtorFunc)
+    {
         // make sure that a constructor and destructor have been specified.
         ctorFunc = ctorFunc || defaultConstructor;
         dtorFunc = dtorFunc || defaultDestructor;
 
-        // create the new object list instance.
+        // create the new object list instance. the slot index portion of an
+        // ID is sized for the maximum capacity, so growing the list does not
+        // change the meaning of any existing ID.
         var list = {
-            MAX_OBJECTS : maxObjects,
-            NEW_ID_ADD  : maxObjects,
-            INDEX_MASK  : maxObjects - 1,
-            construct   : ctorFunc,
-            destroy     : dtorFunc,
-            count       : 0,
-            fifoTail    : 0,
-            fifoHead    : maxObjects - 1,
-            indices     : new Array(maxObjects),
-            objects     : new Array(maxObjects)
+            MAX_OBJECTS  : capacity,
+            MAX_CAPACITY : maxCapacity,
+            NEW_ID_ADD   : maxCapacity,
+            INDEX_MASK   : maxCapacity - 1,
+            construct    : ctorFunc,
+            destroy      : dtorFunc,
+            count        : 0,
+            retired      : 0,  /* slots whose generations are exhausted */
+            fifoTail     : 0,
+            fifoHead     : capacity - 1,
+            iterating    : 0,  /* depth of active iterations            */
+            deferred     : [], /* IDs deleted during an iteration       */
+            checked      : false,
+            indices      : new Array(capacity),
+            objects      : new Array(capacity)
         };
 
         // initialize each element of the indices field.
-        for (var i = 0; i < maxObjects; ++i)
+        for (var i = 0; i < capacity; ++i)
         {
             list.indices[i] = {
-                id    : i,
-                index : 0xFFFF,
-                next  : i + 1
+                id      : i,
+                index   : object_list.INVALID_INDEX,
+                next    : i + 1,
+                pending : false
             };
         }
         return list;
     }
 
+    /// Doubles the capacity of a growable object list. The new slots are
+    /// appended to the end of the free list.
+    /// @param list The object list instance.
+    /// @return true if the list was grown, or false if the list is already at
+    /// its maximum capacity.
+    function objectListGrow(list)
+    {
+        var oldSize = list.MAX_OBJECTS;
+        var newSize = oldSize * 2;
+        if (newSize > list.MAX_CAPACITY)
+        {
+            return false;
+        }
+        for (var i  = oldSize; i < newSize; ++i)
+        {
+            list.indices[i] = {
+                id      : i,
+                index   : object_list.INVALID_INDEX,
+                next    : i + 1,
+                pending : false
+            };
+            list.objects[i] = undefined;
+        }
+        list.indices[list.fifoHead].next = oldSize;
+        list.fifoHead    = newSize - 1;
+        list.MAX_OBJECTS = newSize;
+        return true;
+    }
+
     /// Nulls all references stored in an object list so that objects can be
     /// properly garbage collected. The destructor supplied to the function
     /// createObjectList() is invoked on each object.
@@ -255,25 +1074,33 @@ var Bitstorm = (function (exports)
             if (obj != null)  list.destroy(obj);
         }
         list.MAX_OBJECTS = 0;
+        list.MAX_CAPACITY = 0;
         list.NEW_ID_ADD  = 0;
         list.INDEX_MASK  = 0;
         list.construct   = null;
         list.destroy     = null;
         list.count       = 0;
+        list.retired     = 0;
         list.fifoHead    = 0;
         list.fifoTail    = 0;
+        list.iterating   = 0;
+        list.deferred    = null;
         list.indices     = null;
         list.objects     = null;
     }
 
     /// Determines whether a given object ID is valid within an object list.
+    /// Objects deleted during an iteration are no longer considered valid,
+    /// even though their removal is deferred until the iteration completes.
     /// @param list The object list instance.
     /// @param id The object ID to check.
     /// @return true if the specified ID represents a valid object.
     function objectListHas(list, id)
     {
+        if (list.checked) objectListCheckLive(list, 'objectListHas');
         var ind = list.indices[id & list.INDEX_MASK];
-        return (ind.id == id && ind.index != 0xFFFF);
+        var bad = object_list.INVALID_INDEX;
+        return (ind !== undefined && ind.id == id && ind.index != bad && !ind.pending);
     }
 
     /// Retrieves the object instance associated with a given object ID. The
@@ -284,10 +1111,68 @@ var Bitstorm = (function (exports)
     /// @return The object instance associated with @a id.
     function objectListGet(list, id)
     {
+        if (list.checked) objectListCheckId(list, id, 'objectListGet');
         var ind = list.indices[id & list.INDEX_MASK];
         return list.objects[ind.index];
     }
 
+    /// Enables or disables checked mode for an object list. In checked mode,
+    /// objectListGet(), objectListAllocate() and objectListDelete() throw an
+    /// Error describing the problem when passed a stale or invalid ID, when
+    /// an object is deleted twice, when the list is exhausted and when the
+    /// list is used after deleteObjectList(); objectListHas() also throws in
+    /// the last case. Checked mode is intended for development builds, and is
+    /// disabled by default.
+    /// @param list The object list instance.
+    /// @param checked true to enable checked mode, or false to disable it.
+    function objectListSetChecked(list, checked)
+    {
+        list.checked = checked ? true : false;
+    }
+
+    /// Throws an Error if an object list has been deleted, or if an object ID
+    /// does not identify an active object in the list.
+    /// @param list The object list instance.
+    /// @param id The object ID to check.
+    /// @param operation The name of the operation, used in the error message.
+    function objectListCheckId(list, id, operation)
+    {
+        objectListCheckLive(list, operation);
+        var ind = list.indices[id & list.INDEX_MASK];
+        var msg = null;
+        if (typeof id !== 'number' || id < 0 || id !== Math.floor(id))
+        {
+            msg = 'is not a valid object ID';
+        }
+        else if (ind === undefined || ind.id < id)
+        {
+            msg = 'was never allocated by this list';
+        }
+        else if (ind.id !== id)
+        {
+            msg = 'is stale; its slot has since been reused (current ID ' + ind.id + ')';
+        }
+        else if (ind.index === object_list.INVALID_INDEX || ind.pending)
+        {
+            msg = 'refers to an object that has already been deleted';
+        }
+        if (msg !== null)
+        {
+            throw new Error(operation + ': ID ' + id + ' ' + msg);
+        }
+    }
+
+    /// Throws an Error if an object list has been deleted.
+    /// @param list The object list instance.
+    /// @param operation The name of the operation, used in the error message.
+    function objectListCheckLive(list, operation)
+    {
+        if (list.indices === null)
+        {
+            throw new Error(operation + ': the object list has been deleted');
+        }
+    }
+
     /// Allocates and initializes a new object instance from an object list.
     /// @param list The object list instance.
     /// @param args Optional arguments to pass to the object constructor
@@ -298,7 +1183,14 @@ var Bitstorm = (function (exports)
     /// the value null.
     function objectListAllocate(list, args)
     {
-        if (list.count < list.MAX_OBJECTS - 1)
+        if (list.checked) objectListCheckLive(list, 'objectListAllocate');
+        // one slot always remains in the free list, and retired slots are no
+        // longer in the free list, so neither can be allocated.
+        if (list.count + list.retired >= list.MAX_OBJECTS - 1)
+        {
+            objectListGrow(list);
+        }
+        if (list.count + list.retired <  list.MAX_OBJECTS - 1)
         {
             var ind                  = list.indices[list.fifoTail];
             list.fifoTail            = ind.next;
@@ -309,13 +1201,40 @@ var Bitstorm = (function (exports)
             list.objects[ind.index]  = obj;
             return obj;
         }
-        else return null;
+        if (list.checked)
+        {
+            throw new Error('objectListAllocate: the list is full; ' +
+                list.count   + ' objects are active, ' +
+                list.retired + ' slots are retired and one of the ' +
+                list.MAX_OBJECTS + ' slots is always reserved for the free list');
+        }
+        return null;
     }
 
-    /// Deletes an active item from an object list.
+    /// Deletes an active item from an object list. If the list is currently
+    /// being iterated, the item is marked as deleted, and is removed from the
+    /// list once the outermost iteration completes.
     /// @param list The object list instance.
     /// @param id The object identifier of the item to delete.
     function objectListDelete(list, id)
+    {
+        if (list.checked) objectListCheckId(list, id, 'objectListDelete');
+        if (list.iterating > 0)
+        {
+            var ind = list.indices[id & list.INDEX_MASK];
+            if (ind.pending) return;
+            ind.pending = true;
+            list.deferred.push(id);
+            return;
+        }
+        objectListRemove(list, id);
+    }
+
+    /// Removes an active item from an object list immediately, swapping the
+    /// last active item into its place.
+    /// @param list The object list instance.
+    /// @param id The object identifier of the item to delete.
+    function objectListRemove(list, id)
     {
         var mask                         = list.INDEX_MASK;
         var idi                          = id & mask;
@@ -325,332 +1244,5088 @@ var Bitstorm = (function (exports)
         // ref is a reference to the item being deleted.
         var ref                          = list.objects[ind.index];
         // obj is the last active item in the object array. we swap
-        // this item into the position occupied by ref, the removed item.
+        // this item into the position occupied by ref, the removed item,
+        // unless ref is itself the last item.
         var obj                          = list.objects[end];
+        if (ind.index !== end)
+        {
+            list.objects[ind.index]      = obj;
+            // now we need to update the index object of obj since we moved it.
+            var idl                      = obj.id & mask;
+            list.indices[idl].index      = ind.index;
+        }
         list.objects[end]                = null;
-        list.objects[ind.index]          = obj;
-        // now we need to update the index object of obj since we moved it.
-        var idl                          = obj.id & mask;
-        list.indices[idl].index          = ind.index;
-        ind.index                        = 0xFFFF;
-        // return id to the free list and decrement the active object count.
-        list.indices[list.fifoHead].next = idi;
-        list.fifoHead                    = idi;
+        // mark the slot unused and decrement the active object count.
+        ind.index                        = object_list.INVALID_INDEX;
+        ind.pending                      = false;
         list.count                       = end;
+        if (ind.id > object_list.MAXIMUM_ID - list.NEW_ID_ADD)
+        {
+            // the next ID for this slot would exceed the maximum ID. retire the
+            // slot rather than wrap its generation and risk reusing old IDs.
+            list.retired++;
+        }
+        else
+        {
+            // return id to the free list.
+            list.indices[list.fifoHead].next = idi;
+            list.fifoHead                    = idi;
+        }
         // finally, call the destructor function on the deleted object.
         list.destroy(ref);
     }
 
-    /// Provides a default state enter function that evaluates to a no-op. This
-    /// function can be used by state implementations that do not need to
-    /// perform any custom operations when the state is entered.
-    /// @param stateMachine The state machine object data.
-    /// @param state The object data associated with the state being entered.
-    /// @param oldId The identifier of the state being exited.
-    /// @param newId The identifier of the state being entered.
-    function defaultStateEnter(stateMachine, state, oldId, newId)
-    {
-        /* empty */
-    }
-
-    /// Provides a default state exit function that evaluates to a no-op. This
-    /// function can be used by state implementations that do not need to
-    /// perform any custom operations when the state is exited.
-    /// @param stateMachine The state machine object data.
-    /// @param state The object data associated with the state being exited.
-    /// @param oldId The identifier of the state being exited.
-    /// @param newId The identifier of the state being entered.
-    function defaultStateLeave(stateMachine, state, oldId, newId)
+    /// Checks the internal consistency of an object list, walking the index
+    /// table, the packed object array and the free list. This is intended for
+    /// use in tests and development builds, as it visits every slot.
+    /// @param list The object list instance.
+    /// @return An array of strings describing each problem found. The array is
+    /// empty if the list is consistent.
+    function objectListValidate(list)
     {
-        /* empty */
-    }
+        var problems = [];
+        if (list.indices === null)
+        {
+            problems.push('the object list has been deleted');
+            return problems;
+        }
+        var size     = list.MAX_OBJECTS;
+        var mask     = list.INDEX_MASK;
+        var bad      = object_list.INVALID_INDEX;
+        var free     = size - list.count - list.retired;
+        if (list.count < 0 || free < 1)
+        {
+            problems.push('count ' + list.count + ' and retired ' + list.retired +
+                          ' exceed the capacity ' + size);
+        }
 
-    /// Provides a default state update function that evaluates to a no-op.
-    /// This function can be used by state implementations that do not need to
-    /// perform any operations on a per-tick basis.
-    /// @param stateMachine The state machine object data.
-    /// @param state The object data associated with the current state.
-    /// @param elapsedTime The elapsed time since the last tick, in seconds.
-    /// @param currentTime The current absolute time value, in seconds.
-    function defaultStateUpdate(stateMachine, state, elapsedTime, currentTime)
+        // every active object must be referenced by the index of its slot.
+        for (var i   = 0; i < size; ++i)
+        {
+            var obj  = list.objects[i];
+            if (i   >= list.count)
+            {
+                if (obj) problems.push('objects[' + i + '] is beyond count but not empty');
+                continue;
+            }
+            if (!obj)
+            {
+                problems.push('objects[' + i + '] is empty');
+                continue;
+            }
+            var ind  = list.indices[obj.id & mask];
+            if (ind === undefined || ind.id !== obj.id)
+            {
+                problems.push('objects[' + i + '] has ID ' + obj.id + ' not found in the index');
+            }
+            else if (ind.index !== i)
+            {
+                problems.push('index of ID ' + obj.id + ' is ' + ind.index + ', expected ' + i);
+            }
+        }
+
+        // every slot in use must point at an object with a matching ID.
+        var active   = 0;
+        for (var i   = 0; i < size; ++i)
+        {
+            var ind  = list.indices[i];
+            if ((ind.id & mask) !== i)
+            {
+                problems.push('slot ' + i + ' holds ID ' + ind.id + ' of another slot');
+            }
+            if (ind.id > object_list.MAXIMUM_ID)
+            {
+                problems.push('slot ' + i + ' holds ID ' + ind.id + ' above the maximum');
+            }
+            if (ind.index === bad)
+            {
+                if (ind.pending) problems.push('slot ' + i + ' is unused but pending deletion');
+                continue;
+            }
+            active++;
+            if (ind.index < 0 || ind.index >= list.count)
+            {
+                problems.push('slot ' + i + ' has index ' + ind.index + ' beyond count');
+            }
+            else if (list.objects[ind.index].id !== ind.id)
+            {
+                problems.push('slot ' + i + ' points at an object with a different ID');
+            }
+        }
+        if (active !== list.count)
+        {
+            problems.push(active + ' slots are in use, but count is ' + list.count);
+        }
+
+        // the free list runs from fifoTail to fifoHead through unused slots.
+        var visited  = {};
+        var slot     = list.fifoTail;
+        var length   = 0;
+        while (length <= size)
+        {
+            var ind  = list.indices[slot];
+            if (ind === undefined)
+            {
+                problems.push('free list links to slot ' + slot + ' beyond the capacity');
+                break;
+            }
+            if (visited[slot])
+            {
+                problems.push('free list contains a cycle at slot ' + slot);
+                break;
+            }
+            if (ind.index !== bad)
+            {
+                problems.push('free list contains slot ' + slot + ', which is in use');
+            }
+            visited[slot] = true;
+            length++;
+            if (slot === list.fifoHead) break;
+            slot     = ind.next;
+        }
+        if (length !== free)
+        {
+            problems.push('free list has ' + length + ' slots, expected ' + free);
+        }
+        for (var i   = 0; i < list.deferred.length; ++i)
+        {
+            var ind  = list.indices[list.deferred[i] & mask];
+            if (!ind.pending) problems.push('deferred ID ' + list.deferred[i] + ' is not pending');
+        }
+        return problems;
+    }
+
+    /// Marks the start of an iteration over the active items of an object
+    /// list. Until the matching call to objectListEndIteration(), deleted
+    /// items stay in place, so list.objects[0..list.count) may be walked
+    /// directly. Iterations may be nested.
+    /// @param list The object list instance.
+    function objectListBeginIteration(list)
+    {
+        list.iterating++;
+    }
+
+    /// Marks the end of an iteration over the active items of an object list.
+    /// When the outermost iteration ends, items deleted during the iteration
+    /// are removed from the list.
+    /// @param list The object list instance.
+    function objectListEndIteration(list)
+    {
+        if (list.iterating > 1)
+        {
+            list.iterating--;
+            return;
+        }
+        // the iteration stays open while the deferred items are removed, so
+        // that items deleted by a destructor are appended to the deferred
+        // list rather than being removed while it is walked.
+        var deferred = list.deferred;
+        for (var i   = 0; i < deferred.length; ++i)
+        {
+            objectListRemove(list, deferred[i]);
+        }
+        deferred.length = 0;
+        list.iterating  = 0;
+    }
+
+    /// Invokes a function for each active item in an object list. The callback
+    /// may allocate or delete items; deleted items are not visited, and items
+    /// allocated during the iteration are not visited.
+    /// @param list The object list instance.
+    /// @param func A function (obj, list) : void invoked for each item.
+    function objectListForEach(list, func)
+    {
+        var objects = list.objects;
+        var indices = list.indices;
+        var mask    = list.INDEX_MASK;
+        var count   = list.count;
+        objectListBeginIteration(list);
+        try
+        {
+            for (var i  = 0; i < count; ++i)
+            {
+                var obj = objects[i];
+                if (indices[obj.id & mask].pending) continue;
+                func(obj, list);
+            }
+        }
+        finally
+        {
+            objectListEndIteration(list);
+        }
+    }
+
+    /// Finds all active items in an object list matching a predicate. The
+    /// predicate may delete items, as described for objectListForEach().
+    /// @param list The object list instance.
+    /// @param pred A function (obj, list) : boolean that returns true for each
+    /// item to include in the result.
+    /// @param result An optional array used to store the matching items. The
+    /// array is cleared before use. If not specified, a new array is created.
+    /// @return An array of the matching items.
+    function objectListFilter(list, pred, result)
+    {
+        result = result || [];
+        result.length = 0;
+        objectListForEach(list, function (obj, list)
+            {
+                if (pred(obj, list)) result.push(obj);
+            });
+        return result;
+    }
+
+    /// Finds the first active item in an object list matching a predicate.
+    /// The predicate may delete items, as described for objectListForEach().
+    /// @param list The object list instance.
+    /// @param pred A function (obj, list) : boolean that returns true for the
+    /// item being searched for.
+    /// @return The first matching item, or null.
+    function objectListFind(list, pred)
+    {
+        var objects = list.objects;
+        var indices = list.indices;
+        var mask    = list.INDEX_MASK;
+        var count   = list.count;
+        var found   = null;
+        objectListBeginIteration(list);
+        try
+        {
+            for (var i  = 0; i < count && found === null; ++i)
+            {
+                var obj = objects[i];
+                if (indices[obj.id & mask].pending) continue;
+                if (pred(obj, list)) found = obj;
+            }
+        }
+        finally
+        {
+            objectListEndIteration(list);
+        }
+        return found;
+    }
+
+    /// Retrieves the IDs of all active items in an object list. The IDs are
+    /// returned in storage order, which changes as items are deleted.
+    /// @param list The object list instance.
+    /// @param result An optional array used to store the IDs. The array is
+    /// cleared before use. If not specified, a new array is created.
+    /// @return An array of object IDs.
+    function objectListIds(list, result)
+    {
+        var objects   = list.objects;
+        var indices   = list.indices;
+        var mask      = list.INDEX_MASK;
+        result        = result || [];
+        result.length = 0;
+        for (var i    = 0, n = list.count; i < n; ++i)
+        {
+            var id    = objects[i].id;
+            if (!indices[id & mask].pending) result.push(id);
+        }
+        return result;
+    }
+
+    /// Implements the default object encoder used by objectListSnapshot(),
+    /// which returns a shallow copy of the object's own properties.
+    /// @param obj The object being saved.
+    /// @return A shallow copy of @a obj.
+    function defaultObjectEncoder(obj)
+    {
+        var data = {};
+        for (var key in obj)
+        {
+            if (obj.hasOwnProperty(key)) data[key] = obj[key];
+        }
+        return data;
+    }
+
+    /// Captures the complete state of an object list, including the slot
+    /// generations and the free list, so that the list can later be restored
+    /// with identical object IDs. The snapshot contains only plain arrays,
+    /// numbers and the values returned by @a encoder, so it can be stored in
+    /// a save game using JSON.stringify(), or kept in memory for rollback.
+    /// @param list The object list instance.
+    /// @param encoder An optional function (obj) : any that returns the data to
+    /// save for an object. The returned value must not be modified afterwards.
+    /// Defaults to a function that returns a shallow copy of the object.
+    /// @return A snapshot object, or null if the list is being iterated and
+    /// has deletes pending.
+    function objectListSnapshot(list, encoder)
+    {
+        if (list.deferred.length > 0)
+        {
+            return null;
+        }
+        encoder      = encoder || defaultObjectEncoder;
+        var size     = list.MAX_OBJECTS;
+        var snapshot = {
+            capacity    : size,
+            maxCapacity : list.MAX_CAPACITY,
+            count       : list.count,
+            retired     : list.retired,
+            fifoHead    : list.fifoHead,
+            fifoTail    : list.fifoTail,
+            ids         : new Array(size),
+            next        : new Array(size),
+            indices     : new Array(size),
+            objects     : new Array(list.count)
+        };
+        for (var i   = 0; i < size; ++i)
+        {
+            var ind  = list.indices[i];
+            snapshot.ids[i]     = ind.id;
+            snapshot.next[i]    = ind.next;
+            snapshot.indices[i] = ind.index;
+        }
+        for (var i   = 0, n = list.count; i < n; ++i)
+        {
+            snapshot.objects[i] = encoder(list.objects[i]);
+        }
+        return snapshot;
+    }
+
+    /// Restores the state of an object list from a snapshot. Objects currently
+    /// in the list are passed to the destructor, and new objects are created
+    /// for the objects in the snapshot, with the same IDs they had when the
+    /// snapshot was taken.
+    /// @param list The object list instance. The list must have the same
+    /// maximum capacity as the list from which the snapshot was taken. The
+    /// capacity of a growable list is set to the capacity recorded in the
+    /// snapshot.
+    /// @param snapshot A snapshot returned by objectListSnapshot().
+    /// @param decoder An optional function (data, id) : object that creates an
+    /// object from the saved data. Defaults to a function that passes a copy
+    /// of the data to the list's constructor function.
+    /// @return true if the list was restored, or false if the snapshot is not
+    /// compatible with the list or the list is being iterated.
+    function objectListRestore(list, snapshot, decoder)
+    {
+        var size = snapshot.capacity;
+        if (list.iterating > 0 || snapshot.maxCapacity !== list.MAX_CAPACITY)
+        {
+            return false;
+        }
+        if (!decoder)
+        {
+            decoder = function (data, id)
+                {
+                    return list.construct(defaultObjectEncoder(data));
+                };
+        }
+        // destroy the objects currently in the list.
+        for (var i   = 0, n = list.count; i < n; ++i)
+        {
+            var obj  = list.objects[i];
+            list.objects[i] = null;
+            list.destroy(obj);
+        }
+
+        // set the capacity of a growable list to that of the snapshot.
+        while (list.MAX_OBJECTS < size)
+        {
+            objectListGrow(list);
+        }
+        list.indices.length = size;
+        list.objects.length = size;
+        list.MAX_OBJECTS    = size;
+
+        // restore the index table and free list, then recreate the objects.
+        for (var i   = 0; i < size; ++i)
+        {
+            var ind  = list.indices[i];
+            ind.id      = snapshot.ids[i];
+            ind.next    = snapshot.next[i];
+            ind.index   = snapshot.indices[i];
+            ind.pending = false;
+        }
+        list.count    = snapshot.count;
+        list.retired  = snapshot.retired;
+        list.fifoHead = snapshot.fifoHead;
+        list.fifoTail = snapshot.fifoTail;
+        for (var i   = 0; i < size; ++i)
+        {
+            var ind  = list.indices[i];
+            if (ind.index === object_list.INVALID_INDEX) continue;
+            var obj  = decoder(snapshot.objects[ind.index], ind.id);
+            obj.id   = ind.id;
+            list.objects[ind.index] = obj;
+        }
+        return true;
+    }
+
+    /// Creates and initializes a new structure-of-arrays object list. Rather
+    /// than storing a JavaScript object for each item, a struct list stores
+    /// each field in a separate typed array column, with the data for active
+    /// items packed into elements [0, list.count) of every column. Items are
+    /// identified using the same ID scheme as createObjectList(), including
+    /// the retirement of slots whose generations are exhausted, and deleted
+    /// items are replaced by the last active item. Simulation loops can run
+    /// over the columns directly; for example:
+    /// var x = list.columns.x, vx = list.columns.vx;
+    /// for (var i = 0; i < list.count; ++i) x[i] += vx[i] * dt;
+    /// When deleting items within such a loop, iterate from list.count - 1
+    /// down to zero, so that the item swapped into place was already visited.
+    /// @param maxObjects The maximum number of items. This value must be a
+    /// power of two less than or equal to 32768. The list can hold up to
+    /// @a maxObjects - 1 active items.
+    /// @param fields An object mapping field name to field type, specified as
+    /// either one of the keys of struct_field_type (such as 'float32') or a
+    /// typed array constructor (such as Float32Array).
+    /// @return The new struct list instance, or null if the arguments are not
+    /// valid.
+    function createStructList(maxObjects, fields)
+    {
+        if (maxObjects > 0x8000 || maxObjects < 2 || (maxObjects & (maxObjects - 1)) != 0)
+        {
+            // maxObjects must be a power-of-two <= 0x8000.
+            return null;
+        }
+        var list = {
+            MAX_OBJECTS : maxObjects,
+            NEW_ID_ADD  : maxObjects,
+            INDEX_MASK  : maxObjects - 1,
+            count       : 0,
+            retired     : 0,
+            fifoTail    : 0,
+            fifoHead    : maxObjects - 1,
+            sparseId    : new Float64Array(maxObjects), /* slot => ID     */
+            sparseIndex : new Uint16Array (maxObjects), /* slot => index  */
+            sparseNext  : new Uint16Array (maxObjects), /* free list link */
+            ids         : new Float64Array(maxObjects), /* index => ID    */
+            fieldNames  : [],
+            columns     : {}
+        };
+        for (var name in fields)
+        {
+            var type = fields[name];
+            var ctor = typeof type === 'string' ? struct_field_type[type] : type;
+            if (typeof ctor !== 'function' || ctor.BYTES_PER_ELEMENT === undefined)
+            {
+                // the field type is not a typed array type.
+                return null;
+            }
+            list.fieldNames.push(name);
+            list.columns[name] = new ctor(maxObjects);
+        }
+        for (var i = 0; i < maxObjects; ++i)
+        {
+            list.sparseId[i]    = i;
+            list.sparseIndex[i] = 0xFFFF;
+            list.sparseNext[i]  = i + 1;
+        }
+        return list;
+    }
+
+    /// Determines whether a given item ID is valid within a struct list.
+    /// @param list The struct list instance.
+    /// @param id The item ID to check.
+    /// @return true if the specified ID represents an active item.
+    function structListHas(list, id)
+    {
+        var slot = id & list.INDEX_MASK;
+        return (list.sparseId[slot] == id && list.sparseIndex[slot] != 0xFFFF);
+    }
+
+    /// Retrieves the column index of the data for a given item. The index is
+    /// only valid until the next item is deleted. The validity of the item ID
+    /// is not checked, so if you aren't sure, use structListHas() first.
+    /// @param list The struct list instance.
+    /// @param id The item ID.
+    /// @return The zero-based index of the item within each column.
+    function structListIndex(list, id)
+    {
+        return list.sparseIndex[id & list.INDEX_MASK];
+    }
+
+    /// Allocates a new item from a struct list. Every field of the new item is
+    /// initialized to zero.
+    /// @param list The struct list instance.
+    /// @return The ID of the new item, or -1 if no more items are available.
+    /// The column index of the item is list.count - 1.
+    function structListAllocate(list)
+    {
+        if (list.count + list.retired < list.MAX_OBJECTS - 1)
+        {
+            var slot               = list.fifoTail;
+            var index              = list.count++;
+            var names              = list.fieldNames;
+            list.fifoTail          = list.sparseNext[slot];
+            list.sparseId[slot]   += list.NEW_ID_ADD;
+            list.sparseIndex[slot] = index;
+            list.ids[index]        = list.sparseId[slot];
+            for (var i = 0, n = names.length; i < n; ++i)
+            {
+                list.columns[names[i]][index] = 0;
+            }
+            return list.sparseId[slot];
+        }
+        else return -1;
+    }
+
+    /// Deletes an active item from a struct list. The data of the last active
+    /// item is copied into the column elements of the deleted item.
+    /// @param list The struct list instance.
+    /// @param id The item ID of the item to delete.
+    function structListDelete(list, id)
+    {
+        var mask                        = list.INDEX_MASK;
+        var slot                        = id & mask;
+        var index                       = list.sparseIndex[slot];
+        var end                         = list.count - 1;
+        var names                       = list.fieldNames;
+        // move the data of the last active item into the deleted item's place.
+        if (index !== end)
+        {
+            for (var i = 0, n = names.length; i < n; ++i)
+            {
+                var column              = list.columns[names[i]];
+                column[index]           = column[end];
+            }
+            list.ids[index]             = list.ids[end];
+            list.sparseIndex[list.ids[index] & mask] = index;
+        }
+        list.sparseIndex[slot]          = 0xFFFF;
+        list.count                      = end;
+        if (list.sparseId[slot] > object_list.MAXIMUM_ID - list.NEW_ID_ADD)
+        {
+            // the slot generation is exhausted. see createObjectList().
+            list.retired++;
+        }
+        else
+        {
+            // return the slot to the free list.
+            list.sparseNext[list.fifoHead]  = slot;
+            list.fifoHead                   = slot;
+        }
+    }
+
+    /// Provides a default state enter function that evaluates to a no-op. This
+    /// function can be used by state implementations that do not need to
+    /// perform any custom operations when the state is entered.
+    /// @param stateMachine The state machine object data.
+    /// @param state The object data associated with the state being entered.
+    /// @param oldId The identifier of the state being exited.
+    /// @param newId The identifier of the state being entered.
+    function defaultStateEnter(stateMachine, state, oldId, newId)
+    {
+        /* empty */
+    }
+
+    /// Provides a default state exit function that evaluates to a no-op. This
+    /// function can be used by state implementations that do not need to
+    /// perform any custom operations when the state is exited.
+    /// @param stateMachine The state machine object data.
+    /// @param state The object data associated with the state being exited.
+    /// @param oldId The identifier of the state being exited.
+    /// @param newId The identifier of the state being entered.
+    function defaultStateLeave(stateMachine, state, oldId, newId)
+    {
+        /* empty */
+    }
+
+    /// Provides a default state update function that evaluates to a no-op.
+    /// This function can be used by state implementations that do not need to
+    /// perform any operations on a per-tick basis.
+    /// @param stateMachine The state machine object data.
+    /// @param state The object data associated with the current state.
+    /// @param elapsedTime The elapsed time since the last tick, in seconds.
+    /// @param currentTime The current absolute time value, in seconds.
+    function defaultStateUpdate(stateMachine, state, elapsedTime, currentTime)
     {
         /* empty */
     }
 
-    /// Provides a default event processing function that evaluates to a no-op
-    /// and does not change the current state. This function can be used by
-    /// state implementations that are never exited.
+    /// Provides a default event processing function that does not handle any
+    /// events, so that events are passed on to the parent state, if any. This
+    /// function can be used by state implementations that are never exited.
     /// @param stateMachine The state machine object data.
     /// @param state The object data associated with the current state.
     /// @param ev The event data being passed to the state.
-    /// @return The identifier of the new state.
+    /// @return null, indicating that the event was not handled.
     function defaultStateProcessEvent(stateMachine, state, ev)
     {
-        return state.id;
+        return null;
+    }
+
+    /// Creates a new state machine object.
+    /// @param stateCount The number of states to be defined.
+    /// @param defaultStateId The identifier (not the implementation) of the
+    /// default state.
+    /// @return An object representing the current state data associated with a
+    /// state machine implementation.
+    function createStateMachine(stateCount, defaultStateId)
+    {
+        return {
+            currentState : null,
+            defaultState : defaultStateId,
+            eventCount   : 0,
+            eventQueue   : [], /* pending events sorted by priority */
+            cycleQueue   : [], /* events being dispatched by the update */
+            nextEventId  : 0,
+            eventPolicy  : event_policy.KEEP,
+            states       : new Array(stateCount),
+            currentTime  : 0.0,
+            timers       : [], /* pending timers sorted by due time */
+            nextTimerId  : 1,
+            updating     : false,
+            trace        : null, /* see stateMachineSetTrace() */
+            oldPath      : [], /* scratch storage for state paths */
+            newPath      : []
+        };
+    }
+
+    /// Creates a new state implementation and registers it with a state
+    /// machine instance. Set the enter, leave, update and processEvent fields
+    /// to user-defined functions as desired.
+    ///
+    /// States may be nested by specifying a parent state. The current state
+    /// of the machine is always a leaf state, and its ancestors are active
+    /// along with it. Events not handled by a state, indicated by returning
+    /// null or undefined from processEvent, are passed to its parent. When
+    /// the state changes, leave is called for each state being exited, from
+    /// the old leaf upwards, and enter for each state being entered, from the
+    /// outermost state downwards; states common to both are not re-entered.
+    /// A transition to a state with an initial sub-state continues on to the
+    /// initial sub-state. Each update, the update function of every active
+    /// state is called from the outermost state inwards, so a state may run a
+    /// nested state machine by calling stateMachineUpdate() from its update.
+    /// @param stateMachine The state machine object data.
+    /// @param stateId The identifier of the state implementation to create.
+    /// @param parentId The optional identifier of the parent state.
+    /// @return An object representing the new state implementation. Set the
+    /// initial field to the identifier of a sub-state to enter when the state
+    /// is the target of a transition.
+    function createState(stateMachine, stateId, parentId)
+    {
+        var state = {
+            id            : stateId,
+            parent        : (parentId !== undefined) ? parentId : null,
+            initial       : null,
+            stateMachine  : stateMachine,
+            enter         : defaultStateEnter,
+            leave         : defaultStateLeave,
+            update        : defaultStateUpdate,
+            processEvent  : defaultStateProcessEvent
+        };
+        // register the state within the state machine:
+        stateMachine.states[stateId] = state;
+        return state;
+    }
+
+    /// Inserts a queued event into an event queue, keeping the queue sorted
+    /// by descending priority, and events of the same priority in the order
+    /// they were posted.
+    /// @param queue The event queue.
+    /// @param entry The queued event, with event, priority and sequence fields.
+    function stateMachineInsertEvent(queue, entry)
+    {
+        var index = queue.length;
+        while (index > 0)
+        {
+            var other = queue[index - 1];
+            if (other.priority > entry.priority) break;
+            if (other.priority === entry.priority &&
+                other.sequence  <  entry.sequence) break;
+            index--;
+        }
+        queue.splice(index, 0, entry);
+    }
+
+    /// Posts an event (input) to a state machine. Events can trigger state
+    /// changes and are passed to the current state during the state machine
+    /// update tick. Events posted while the state machine is dispatching
+    /// events, for example from processEvent, enter or leave, are dispatched
+    /// during the next update.
+    /// @param stateMachine The state machine instance.
+    /// @param ev An object representing the event to post.
+    /// @param priority The optional event priority. Events with a higher
+    /// priority are dispatched first. Events of the same priority are
+    /// dispatched in the order they were posted. The default is zero.
+    function stateMachinePostEvent(stateMachine, ev, priority)
+    {
+        priority = priority || 0;
+        if (stateMachine.trace)
+        {
+            stateMachineTraceAppend(stateMachine, {
+                kind     : 'post',
+                event    : ev,
+                priority : priority,
+                external : !stateMachine.updating
+            });
+        }
+        stateMachineInsertEvent(stateMachine.eventQueue, {
+            event    : ev,
+            priority : priority,
+            sequence : stateMachine.nextEventId++
+        });
+        stateMachine.eventCount = stateMachine.eventQueue.length;
+    }
+
+    /// Clears the event queue associated with a state machine instance. If
+    /// the state machine is dispatching events, the events remaining in the
+    /// current dispatch cycle are also discarded.
+    /// @param stateMachine The state machine instance.
+    function stateMachineFlushQueue(stateMachine)
+    {
+        if (stateMachine.trace)
+        {
+            stateMachineTraceAppend(stateMachine, {
+                kind     : 'flush',
+                external : !stateMachine.updating
+            });
+        }
+        stateMachine.eventQueue.length = 0;
+        stateMachine.cycleQueue.length = 0;
+        stateMachine.eventCount        = 0;
+    }
+
+    /// Sets the policy for handling the events remaining in the current
+    /// dispatch cycle when an event causes the current state to change.
+    /// @param stateMachine The state machine instance.
+    /// @param policy One of the values of the event_policy enumeration. The
+    /// default policy is event_policy.KEEP.
+    function stateMachineSetEventPolicy(stateMachine, policy)
+    {
+        stateMachine.eventPolicy = policy;
+    }
+
+    /// Applies the event policy of a state machine to the events remaining in
+    /// the current dispatch cycle after the current state has changed.
+    /// @param stateMachine The state machine instance.
+    /// @param start The index of the first remaining event in the cycle queue.
+    function stateMachineApplyEventPolicy(stateMachine, start)
+    {
+        var cycle = stateMachine.cycleQueue;
+        var queue = stateMachine.eventQueue;
+        if (stateMachine.eventPolicy === event_policy.KEEP)
+        {
+            return;
+        }
+        for (var i = start; i < cycle.length; ++i)
+        {
+            if (stateMachine.eventPolicy === event_policy.DEFER)
+            {
+                // the entry keeps its sequence number, so it is placed
+                // ahead of events of the same priority posted after it.
+                stateMachineInsertEvent(queue, cycle[i]);
+            }
+            else if (stateMachine.trace)
+            {
+                stateMachineTraceAppend(stateMachine, {
+                    kind  : 'drop',
+                    event : cycle[i].event
+                });
+            }
+        }
+        cycle.length = start;
+        stateMachine.eventCount = queue.length;
+    }
+
+    /// Schedules an event to be posted to a state machine at a given time.
+    /// The event is dispatched during the first stateMachineUpdate() call
+    /// whose currentTime value is at least @a time. Timers due during the
+    /// same update are dispatched in order of due time, before any queued
+    /// events, and those due at the same time in the order scheduled.
+    /// @param stateMachine The state machine instance.
+    /// @param ev An object representing the event to post.
+    /// @param time The absolute time at which the event is posted, in seconds,
+    /// on the same timeline as the currentTime passed to stateMachineUpdate().
+    /// @param ownerId The optional identifier of the state that owns the
+    /// timer. The timer is cancelled automatically when the state is left.
+    /// @return An object representing the timer, which can be passed to the
+    /// function stateMachineCancelTimer() to cancel the timer.
+    function stateMachineScheduleAt(stateMachine, ev, time, ownerId)
+    {
+        var timers = stateMachine.timers;
+        var timer  = {
+            id     : stateMachine.nextTimerId++,
+            time   : time,
+            event  : ev,
+            owner  : (ownerId !== undefined) ? ownerId : null,
+            active : true
+        };
+        // insert after any timers due at or before the same time.
+        var index  = timers.length;
+        while (index > 0 && timers[index - 1].time > time)
+        {
+            index--;
+        }
+        timers.splice(index, 0, timer);
+        if (stateMachine.trace)
+        {
+            stateMachineTraceAppend(stateMachine, {
+                kind     : 'schedule',
+                timer    : timer.id,
+                event    : ev,
+                due      : time,
+                owner    : timer.owner,
+                external : !stateMachine.updating
+            });
+        }
+        return timer;
+    }
+
+    /// Schedules an event to be posted to a state machine after a delay.
+    /// @param stateMachine The state machine instance.
+    /// @param ev An object representing the event to post.
+    /// @param delay The delay, in seconds, relative to the currentTime value
+    /// passed to the most recent stateMachineUpdate() call.
+    /// @param ownerId The optional identifier of the state that owns the
+    /// timer. The timer is cancelled automatically when the state is left.
+    /// @return An object representing the timer, which can be passed to the
+    /// function stateMachineCancelTimer() to cancel the timer.
+    function stateMachineSchedule(stateMachine, ev, delay, ownerId)
+    {
+        var time = stateMachine.currentTime + delay;
+        return stateMachineScheduleAt(stateMachine, ev, time, ownerId);
+    }
+
+    /// Cancels a pending timer.
+    /// @param stateMachine The state machine instance.
+    /// @param timer The timer object returned by stateMachineSchedule() or
+    /// stateMachineScheduleAt().
+    /// @return true if the timer was cancelled, or false if the timer had
+    /// already fired or been cancelled.
+    function stateMachineCancelTimer(stateMachine, timer)
+    {
+        if (!timer || !timer.active)
+        {
+            return false;
+        }
+        var index    = stateMachine.timers.indexOf(timer);
+        if (index   >= 0)
+        {
+            stateMachine.timers.splice(index, 1);
+        }
+        if (stateMachine.trace)
+        {
+            stateMachineTraceAppend(stateMachine, {
+                kind     : 'cancel',
+                timer    : timer.id,
+                external : !stateMachine.updating
+            });
+        }
+        timer.active = false;
+        timer.event  = null;
+        return true;
+    }
+
+    /// Cancels all pending timers owned by a state, or all pending timers.
+    /// @param stateMachine The state machine instance.
+    /// @param ownerId The identifier of the state whose timers are cancelled.
+    /// If this value is undefined, all pending timers are cancelled.
+    /// @return The number of timers cancelled.
+    function stateMachineCancelTimers(stateMachine, ownerId)
+    {
+        var timers = stateMachine.timers;
+        var count  = 0;
+        for (var i = timers.length - 1; i >= 0; --i)
+        {
+            var timer  = timers[i];
+            if (ownerId === undefined || timer.owner === ownerId)
+            {
+                timers.splice(i, 1);
+                if (stateMachine.trace)
+                {
+                    stateMachineTraceAppend(stateMachine, {
+                        kind     : 'cancel',
+                        timer    : timer.id,
+                        external : !stateMachine.updating
+                    });
+                }
+                timer.active = false;
+                timer.event  = null;
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /// Determines whether a state is active; that is, whether it is the
+    /// current state of a state machine or one of its ancestors.
+    /// @param stateMachine The state machine instance.
+    /// @param stateId The identifier of the state to check.
+    /// @return true if the state is active.
+    function stateMachineInState(stateMachine, stateId)
+    {
+        var id = stateMachine.currentState;
+        while (id !== null && id !== undefined)
+        {
+            if (id === stateId) return true;
+            id = stateMachine.states[id].parent;
+        }
+        return false;
+    }
+
+    /// Builds the list of states from the outermost ancestor of a state down
+    /// to the state itself.
+    /// @param stateMachine The state machine instance.
+    /// @param stateId The identifier of the innermost state.
+    /// @param path The array used to store the state objects.
+    /// @return The array @a path.
+    function stateMachinePath(stateMachine, stateId, path)
+    {
+        var states  = stateMachine.states;
+        var id      = stateId;
+        path.length = 0;
+        while (id !== null && id !== undefined)
+        {
+            path.push(states[id]);
+            id      = states[id].parent;
+        }
+        return path.reverse();
+    }
+
+    /// Performs a transition from the current state of a state machine to a
+    /// new state, leaving and entering the states along the path between them.
+    /// @param stateMachine The state machine instance.
+    /// @param targetId The identifier of the target state. If the target state
+    /// has an initial sub-state, the initial sub-state becomes current.
+    function stateMachineTransition(stateMachine, targetId)
+    {
+        var states  = stateMachine.states;
+        var oldId   = stateMachine.currentState;
+        var newId   = targetId;
+        while (states[newId].initial !== null)
+        {
+            newId   = states[newId].initial;
+        }
+        if (newId === oldId)
+        {
+            return;
+        }
+        var oldPath = stateMachinePath(stateMachine, oldId, stateMachine.oldPath);
+        var newPath = stateMachinePath(stateMachine, newId, stateMachine.newPath);
+        var common  = 0;
+        while (common < oldPath.length && common < newPath.length &&
+               oldPath[common] === newPath[common])
+        {
+            common++;
+        }
+        // the current state is updated before the calls so that states can
+        // query it, and before enter so that events posted there go to it.
+        stateMachine.currentState = newId;
+        for (var i  = oldPath.length - 1; i >= common; --i)
+        {
+            if (stateMachine.trace)
+            {
+                stateMachineTraceAppend(stateMachine, {
+                    kind  : 'leave',
+                    state : oldPath[i].id,
+                    from  : oldId,
+                    to    : newId
+                });
+            }
+            oldPath[i].leave(stateMachine, oldPath[i], oldId, newId);
+            stateMachineCancelTimers(stateMachine, oldPath[i].id);
+        }
+        for (var i  = common; i < newPath.length; ++i)
+        {
+            if (stateMachine.trace)
+            {
+                stateMachineTraceAppend(stateMachine, {
+                    kind  : 'enter',
+                    state : newPath[i].id,
+                    from  : oldId,
+                    to    : newId
+                });
+            }
+            newPath[i].enter(stateMachine, newPath[i], oldId, newId);
+        }
+    }
+
+    /// Passes an event to the current state of a state machine, and then to
+    /// each ancestor in turn until a state handles the event, performing any
+    /// resulting state transition.
+    /// @param stateMachine The state machine instance.
+    /// @param ev The event being dispatched.
+    function stateMachineDispatch(stateMachine, ev)
+    {
+        var states = stateMachine.states;
+        var id     = stateMachine.currentState;
+        while (id !== null && id !== undefined)
+        {
+            // the state's processEvent function returns a new ID, its own ID
+            // if it handled the event without a state change, or null if the
+            // event should be passed to the parent state.
+            var state  = states[id];
+            var result = state.processEvent(stateMachine, state, ev);
+            if (stateMachine.trace)
+            {
+                stateMachineTraceAppend(stateMachine, {
+                    kind   : 'process',
+                    state  : id,
+                    event  : ev,
+                    result : result
+                });
+            }
+            if (result === null || result === undefined)
+            {
+                id     = state.parent;
+                continue;
+            }
+            if (result !== state.id)
+            {
+                stateMachineTransition(stateMachine, result);
+            }
+            return;
+        }
+    }
+
+    /// Implements the update loop for a generic hierarchical state machine.
+    /// Timers that are due are dispatched first, then the events queued when
+    /// the update started, by priority and then in the order they were
+    /// posted, and each active state is then updated once, from the outermost
+    /// state inwards. Events posted and timers scheduled during the update
+    /// are dispatched during the next update, even if they are already due.
+    /// When dispatching an event changes the current state, the events
+    /// remaining in the cycle are handled according to the event policy; see
+    /// stateMachineSetEventPolicy(). If a state function throws, the event
+    /// being dispatched is discarded and the remaining events of the cycle
+    /// are returned to the queue for the next update.
+    /// @param stateMachine The state machine instance to update.
+    /// @param elapsedTime The elapsed time since the last tick, in seconds.
+    /// @param currentTime The current absolute time value, in seconds.
+    function stateMachineUpdate(stateMachine, elapsedTime, currentTime)
+    {
+        var timers = stateMachine.timers;
+        var active = stateMachine.oldPath;
+        var limit  = stateMachine.nextTimerId;
+        var cycle  = stateMachine.cycleQueue;
+        var next   = 0; /* index of the next event to dispatch in the cycle */
+        stateMachine.currentTime = currentTime;
+        if (stateMachine.trace)
+        {
+            stateMachineTraceAppend(stateMachine, {
+                kind    : 'update',
+                elapsed : elapsedTime,
+                current : currentTime
+            });
+        }
+        stateMachine.updating    = true;
+        try
+        {
+            // enter the default state, and its ancestors, if necessary.
+            if (stateMachine.currentState === null)
+            {
+                var defaultId = stateMachine.defaultState;
+                var path      = stateMachine.newPath;
+                stateMachinePath(stateMachine, defaultId, path);
+                stateMachine.currentState = defaultId;
+                for (var i    = 0; i < path.length; ++i)
+                {
+                    if (stateMachine.trace)
+                    {
+                        stateMachineTraceAppend(stateMachine, {
+                            kind  : 'enter',
+                            state : path[i].id,
+                            from  : defaultId,
+                            to    : defaultId
+                        });
+                    }
+                    path[i].enter(stateMachine, path[i], defaultId, defaultId);
+                }
+                // continue on to the initial sub-state, if any.
+                stateMachineTransition(stateMachine, defaultId);
+            }
+
+            // start a new dispatch cycle with the events posted so far. events
+            // posted from here on are queued for the next update.
+            cycle      = stateMachine.eventQueue;
+            stateMachine.eventQueue = stateMachine.cycleQueue;
+            stateMachine.cycleQueue = cycle;
+            stateMachine.eventCount = 0;
+
+            // dispatch timers that are due. timers are removed before dispatch,
+            // and dispatching may cancel or schedule other timers, so the search
+            // restarts after each one. timers scheduled during this update are
+            // skipped, even if they are due and sorted ahead of older timers.
+            for (var t = 0; t < timers.length && timers[t].time <= currentTime; )
+            {
+                if (timers[t].id >= limit)
+                {
+                    t++;
+                    continue;
+                }
+                var oldId    = stateMachine.currentState;
+                var timer    = timers.splice(t, 1)[0];
+                var ev       = timer.event;
+                t            = 0;
+                timer.active = false;
+                timer.event  = null;
+                if (stateMachine.trace)
+                {
+                    stateMachineTraceAppend(stateMachine, {
+                        kind  : 'timer',
+                        timer : timer.id,
+                        event : ev
+                    });
+                }
+                stateMachineDispatch(stateMachine, ev);
+                if (stateMachine.currentState !== oldId)
+                {
+                    stateMachineApplyEventPolicy(stateMachine, 0);
+                }
+            }
+
+            // dispatch the events in the cycle. the cycle may be shortened by the
+            // event policy, or by a call to stateMachineFlushQueue().
+            while (next < cycle.length)
+            {
+                var oldId  = stateMachine.currentState;
+                var ev     = cycle[next++].event;
+                stateMachineDispatch(stateMachine, ev);
+                if (stateMachine.currentState !== oldId)
+                {
+                    stateMachineApplyEventPolicy(stateMachine, next);
+                }
+            }
+
+            // run a single update tick for each active state.
+            stateMachinePath(stateMachine, stateMachine.currentState, active);
+            for (var i = 0; i < active.length; ++i)
+            {
+                active[i].update(stateMachine, active[i], elapsedTime, currentTime);
+            }
+        }
+        finally
+        {
+            // handlers may throw; events posted afterwards are external. the
+            // event being dispatched is discarded, and the events remaining
+            // in the cycle are returned to the queue, ahead of newer events
+            // of the same priority.
+            for (var i = next; i < cycle.length; ++i)
+            {
+                stateMachineInsertEvent(stateMachine.eventQueue, cycle[i]);
+            }
+            cycle.length = 0;
+            stateMachine.eventCount = stateMachine.eventQueue.length;
+            stateMachine.updating   = false;
+        }
+    }
+
+    /// Creates a trace recorder that can be attached to a state machine with
+    /// stateMachineSetTrace(). The trace stores the most recent records in a
+    /// ring buffer; older records are discarded once the buffer is full.
+    /// @param capacity The maximum number of records stored. Defaults to the
+    /// value state_trace.DEFAULT_CAPACITY.
+    /// @return An object representing the trace recorder.
+    /// obj.capacity The maximum number of records stored.
+    /// obj.records The ring buffer of records.
+    /// obj.head The index of the slot that receives the next record.
+    /// obj.count The number of records currently stored.
+    /// obj.total The total number of records ever appended.
+    function createStateMachineTrace(capacity)
+    {
+        capacity     = capacity || state_trace.DEFAULT_CAPACITY;
+        return {
+            capacity : capacity,
+            records  : new Array(capacity),
+            head     : 0,
+            count    : 0,
+            total    : 0
+        };
+    }
+
+    /// Attaches a trace recorder to a state machine, or detaches the current
+    /// trace recorder. While a trace is attached, posted events, scheduled
+    /// and cancelled timers, updates, processEvent calls and their results,
+    /// enter and leave calls, and events dropped by the event policy are
+    /// recorded. Each record has a kind field set to one of 'post', 'flush',
+    /// 'schedule', 'cancel', 'update', 'timer', 'process', 'drop', 'enter' or
+    /// 'leave', a sequence number and the time field, set to the currentTime
+    /// of the most recent update.
+    /// @param stateMachine The state machine instance.
+    /// @param trace The trace recorder returned by createStateMachineTrace(),
+    /// or null to stop recording.
+    function stateMachineSetTrace(stateMachine, trace)
+    {
+        stateMachine.trace = trace || null;
+    }
+
+    /// Appends a record to the trace recorder attached to a state machine.
+    /// @param stateMachine The state machine instance. The trace field must
+    /// be set to a valid trace recorder.
+    /// @param record The record to append. The sequence and time fields are
+    /// set by this function.
+    function stateMachineTraceAppend(stateMachine, record)
+    {
+        var trace       = stateMachine.trace;
+        record.sequence = trace.total++;
+        record.time     = stateMachine.currentTime;
+        trace.records[trace.head] = record;
+        trace.head      = (trace.head + 1) % trace.capacity;
+        if (trace.count < trace.capacity)
+        {
+            trace.count++;
+        }
+    }
+
+    /// Retrieves the records stored in a trace recorder.
+    /// @param trace The trace recorder.
+    /// @return An array of records, ordered from oldest to newest.
+    function stateMachineTraceRecords(trace)
+    {
+        var result = new Array(trace.count);
+        var start  = trace.head - trace.count + trace.capacity;
+        for (var i = 0; i < trace.count; ++i)
+        {
+            result[i] = trace.records[(start + i) % trace.capacity];
+        }
+        return result;
+    }
+
+    /// Clears all records from a trace recorder.
+    /// @param trace The trace recorder.
+    function stateMachineTraceClear(trace)
+    {
+        for (var i = 0; i < trace.capacity; ++i)
+        {
+            trace.records[i] = null;
+        }
+        trace.head  = 0;
+        trace.count = 0;
+        trace.total = 0;
+    }
+
+    /// Feeds a recorded event log into a state machine to reproduce the
+    /// recorded sequence of transitions. The state machine should be newly
+    /// created, with the same states as the recorded machine. Only events,
+    /// timers and queue flushes originating outside of the state machine
+    /// update are replayed, along with each update; everything else is
+    /// reproduced by the state machine itself, provided the states behave
+    /// deterministically.
+    /// @param stateMachine The state machine instance.
+    /// @param records An array of records, as returned by the function
+    /// stateMachineTraceRecords(). The records must start from the first
+    /// record appended after the trace was attached to a new state machine.
+    /// @return The number of updates executed, or -1 if the start of the log
+    /// is missing because the ring buffer wrapped around.
+    function stateMachineReplay(stateMachine, records)
+    {
+        var updates = 0;
+        if (records.length > 0 && records[0].sequence !== 0)
+        {
+            return -1;
+        }
+        for (var i  = 0; i < records.length; ++i)
+        {
+            var rec = records[i];
+            switch (rec.kind)
+            {
+                case 'post':
+                    if (rec.external)
+                    {
+                        stateMachinePostEvent(
+                            stateMachine, rec.event, rec.priority);
+                    }
+                    break;
+                case 'flush':
+                    if (rec.external) stateMachineFlushQueue(stateMachine);
+                    break;
+                case 'schedule':
+                    if (rec.external)
+                    {
+                        stateMachineScheduleAt(
+                            stateMachine, rec.event, rec.due, rec.owner);
+                    }
+                    break;
+                case 'cancel':
+                    if (rec.external)
+                    {
+                        stateMachineCancelTimer(stateMachine,
+                            stateMachineFindTimer(stateMachine, rec.timer));
+                    }
+                    break;
+                case 'update':
+                    stateMachineUpdate(stateMachine, rec.elapsed, rec.current);
+                    updates++;
+                    break;
+            }
+        }
+        return updates;
+    }
+
+    /// Searches for a pending timer by ID.
+    /// @param stateMachine The state machine instance.
+    /// @param timerId The ID of the timer.
+    /// @return The timer object, or null if the timer is not pending.
+    function stateMachineFindTimer(stateMachine, timerId)
+    {
+        var timers = stateMachine.timers;
+        for (var i = 0; i < timers.length; ++i)
+        {
+            if (timers[i].id === timerId) return timers[i];
+        }
+        return null;
+    }
+
+    /// Returns the type of an event for matching against transition table
+    /// rows. Events may be strings, or objects with a type field.
+    /// @param ev The event.
+    /// @return The event type.
+    function defaultEventType(ev)
+    {
+        return (ev !== null && typeof ev === 'object' && ev.type !== undefined) ? ev.type : ev;
+    }
+
+    /// Returns a printable name for a guard or action function.
+    /// @param func The function, or null.
+    /// @return The name of the function, '<anonymous>' if it has no name, or
+    /// null if @a func is not specified.
+    function functionLabel(func)
+    {
+        if (!func) return null;
+        return func.name || '<anonymous>';
+    }
+
+    /// Creates the processEvent function of a state built from a transition
+    /// table. The rows are tried in order, and the first row whose guard
+    /// passes is taken.
+    /// @param rows The transition table rows whose from field names the state.
+    /// @param eventType The function used to obtain the type of an event.
+    /// @return A function implementing the processEvent field of a state.
+    function tableProcessEvent(rows, eventType)
+    {
+        return function (stateMachine, state, ev)
+            {
+                var type = eventType(ev);
+                for (var i = 0, n = rows.length; i < n; ++i)
+                {
+                    var row = rows[i];
+                    if (row.event !== type) continue;
+                    if (row.guard && !row.guard(stateMachine, ev)) continue;
+                    if (row.action) row.action(stateMachine, ev, state.id, row.toId);
+                    return row.toId;
+                }
+                return null;
+            };
+    }
+
+    /// Builds a hierarchical state machine from a declarative definition. For
+    /// example:
+    /// {
+    ///     "initial"     : "Menu",
+    ///     "states"      : [
+    ///         { "name" : "Menu" },
+    ///         { "name" : "InGame", "initial" : "Playing" },
+    ///         { "name" : "Playing", "parent" : "InGame" },
+    ///         { "name" : "Paused",  "parent" : "InGame" }
+    ///     ],
+    ///     "transitions" : [
+    ///         { "from" : "Menu",    "event" : "start",  "to" : "InGame" },
+    ///         { "from" : "Playing", "event" : "pause",  "to" : "Paused" },
+    ///         { "from" : "Paused",  "event" : "resume", "to" : "Playing" },
+    ///         { "from" : "InGame",  "event" : "quit",   "to" : "Menu",
+    ///           "guard" : canQuit, "action" : saveGame }
+    ///     ]
+    /// }
+    /// States may also be given as plain names, and may specify enter, leave
+    /// and update functions; see createState(). Each transition may specify a
+    /// guard function (stateMachine, ev) : boolean, which must return true for
+    /// the transition to be taken, and an action function (stateMachine, ev,
+    /// fromId, toId) : void, which runs before any state is left. Rows are
+    /// tried in table order. A row without a to field handles the event
+    /// without changing state. Events not matched by any row of a state are
+    /// passed to its parent state.
+    ///
+    /// The definition is validated before the machine is built. Unknown state
+    /// names, duplicate states, missing transition targets, cycles in the
+    /// state hierarchy and states that can never become active are reported.
+    /// @param definition The state machine definition.
+    /// @param definition.eventType An optional function (ev) : any returning
+    /// the type of an event, which is compared with the event field of each
+    /// row. By default, the type field of event objects is used, and other
+    /// events are compared directly.
+    /// @param errorFunc An optional function with signature:
+    /// function errorFunc(stateName, message) : void
+    /// invoked for each problem found in the definition.
+    /// @return A new state machine, or null if the definition is invalid. The
+    /// stateIds field of the state machine maps state names to identifiers,
+    /// and has no prototype, so any name may be looked up safely. The
+    /// stateNames field maps identifiers to names.
+    function buildStateMachine(definition, errorFunc)
+    {
+        var states      = definition.states      || [];
+        var transitions = definition.transitions || [];
+        var eventType   = definition.eventType   || defaultEventType;
+        var ids         = Object.create(null);
+        var names       = [];
+        var infos       = [];
+        var rows        = [];
+        var valid       = true;
+        var error       = function (name, message)
+            {
+                valid   = false;
+                if (errorFunc) errorFunc(name, message);
+            };
+        var lookup      = function (name, what, context)
+            {
+                if (name === undefined || name === null) return null;
+                if (name in ids) return ids[name];
+                error(context, 'Unknown ' + what + ' state \'' + name + '\'');
+                return null;
+            };
+
+        // assign an identifier to each state.
+        for (var i = 0, n = states.length; i < n; ++i)
+        {
+            var info = (typeof states[i] === 'string') ? { name : states[i] } : states[i];
+            if (!info || typeof info !== 'object')
+            {
+                error('state ' + i, 'The state is not a name or an object');
+                continue;
+            }
+            if (typeof info.name !== 'string' || info.name in ids)
+            {
+                error(String(info.name), 'Missing or duplicate state name');
+                continue;
+            }
+            ids[info.name] = names.length;
+            names.push(info.name);
+            infos.push(info);
+        }
+        var defaultId  = lookup(definition.initial, 'initial', '');
+        if (names.length === 0 || definition.initial === undefined)
+        {
+            error('', 'No states or no initial state specified');
+        }
+
+        // resolve the state hierarchy.
+        var parents    = new Array(names.length);
+        var initials   = new Array(names.length);
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            parents[i]  = lookup(infos[i].parent,  'parent',  names[i]);
+            initials[i] = lookup(infos[i].initial, 'initial', names[i]);
+        }
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            var depth  = 0;
+            for (var p = parents[i]; p !== null && depth <= n; p = parents[p])
+            {
+                depth++;
+            }
+            if (depth  > n) error(names[i], 'The state is its own ancestor');
+            if (initials[i] !== null && parents[initials[i]] !== i)
+            {
+                error(names[i], 'The initial state must be a child state');
+            }
+        }
+
+        // resolve the transition table.
+        for (var i = 0, n = transitions.length; i < n; ++i)
+        {
+            var t      = transitions[i];
+            var label  = 'transition ' + i;
+            if (!t || typeof t !== 'object')
+            {
+                error(label, 'The transition is not an object');
+                continue;
+            }
+            if (t.from === undefined || t.from === null)
+            {
+                error(label, 'Missing source state');
+                continue;
+            }
+            var row    = {
+                from   : t.from,
+                event  : t.event,
+                to     : (t.to !== undefined) ? t.to : t.from,
+                guard  : t.guard  || null,
+                action : t.action || null,
+                fromId : lookup(t.from, 'source', label),
+                toId   : null
+            };
+            if (t.event === undefined)
+            {
+                error(label, 'Missing event type');
+            }
+            if (t.to !== undefined) row.toId = lookup(t.to, 'target', label);
+            else row.toId = row.fromId;
+            rows.push(row);
+        }
+        if (!valid)
+        {
+            return null;
+        }
+
+        // find the states that can become active, starting from the initial
+        // state. a state is active when it or one of its descendants is the
+        // current state, and its transitions apply to all of its descendants.
+        var reachable  = new Array(names.length);
+        var pending    = [];
+        var activate   = function (id)
+            {
+                while (initials[id] !== null) id = initials[id];
+                for (; id !== null; id = parents[id])
+                {
+                    if (reachable[id]) continue;
+                    reachable[id] = true;
+                    pending.push(id);
+                }
+            };
+        activate(defaultId);
+        while (pending.length > 0)
+        {
+            var id = pending.pop();
+            for (var i = 0, n = rows.length; i < n; ++i)
+            {
+                if (rows[i].fromId === id) activate(rows[i].toId);
+            }
+        }
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            if (!reachable[i]) error(names[i], 'The state can never become active');
+        }
+        if (!valid)
+        {
+            return null;
+        }
+
+        // build the state machine.
+        var machine    = createStateMachine(names.length, defaultId);
+        machine.stateIds   = ids;
+        machine.stateNames = names;
+        machine.table      = {
+            initial     : definition.initial,
+            states      : infos,
+            transitions : rows
+        };
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            var parent = (parents[i] !== null) ? parents[i] : undefined;
+            var state  = createState(machine, i, parent);
+            var own    = [];
+            for (var j = 0, m = rows.length; j < m; ++j)
+            {
+                if (rows[j].fromId === i) own.push(rows[j]);
+            }
+            state.initial      = initials[i];
+            state.processEvent = tableProcessEvent(own, eventType);
+            if (infos[i].enter)  state.enter  = infos[i].enter;
+            if (infos[i].leave)  state.leave  = infos[i].leave;
+            if (infos[i].update) state.update = infos[i].update;
+        }
+        return machine;
+    }
+
+    /// Describes the states and transitions of a state machine built with
+    /// buildStateMachine() as a JSON-compatible object.
+    /// @param stateMachine The state machine instance.
+    /// @return An object with initial, states and transitions fields, or null
+    /// if the state machine was not built from a definition. Guards and
+    /// actions are given by function name.
+    function stateMachineGraph(stateMachine)
+    {
+        var table  = stateMachine.table;
+        if (!table)
+        {
+            return null;
+        }
+        var graph  = {
+            initial     : table.initial,
+            states      : [],
+            transitions : []
+        };
+        for (var i = 0, n = table.states.length; i < n; ++i)
+        {
+            var info = table.states[i];
+            graph.states.push({
+                name    : info.name,
+                parent  : info.parent  || null,
+                initial : info.initial || null
+            });
+        }
+        for (var i = 0, n = table.transitions.length; i < n; ++i)
+        {
+            var row  = table.transitions[i];
+            graph.transitions.push({
+                from    : row.from,
+                event   : row.event,
+                to      : row.to,
+                guard   : functionLabel(row.guard),
+                action  : functionLabel(row.action)
+            });
+        }
+        return graph;
+    }
+
+    /// Exports the states and transitions of a state machine built with
+    /// buildStateMachine() as a JSON string.
+    /// @param stateMachine The state machine instance.
+    /// @return A JSON string, or null if the state machine was not built from
+    /// a definition. See stateMachineGraph().
+    function stateMachineToJson(stateMachine)
+    {
+        var graph = stateMachineGraph(stateMachine);
+        return (graph !== null) ? JSON.stringify(graph, null, 4) : null;
+    }
+
+    /// Exports the states and transitions of a state machine built with
+    /// buildStateMachine() in the Graphviz DOT language. Parent states are
+    /// drawn as clusters containing their child states, and edges are labeled
+    /// with the event type and the guard, if any.
+    /// @param stateMachine The state machine instance.
+    /// @return A string containing the DOT graph, or null if the state machine
+    /// was not built from a definition.
+    function stateMachineToDot(stateMachine)
+    {
+        var graph  = stateMachineGraph(stateMachine);
+        if (graph === null)
+        {
+            return null;
+        }
+        var quote  = function (text)
+            {
+                return '"' + String(text).replace(/(["\\])/g, '\\$1') + '"';
+            };
+        var lines  = [
+            'digraph StateMachine {',
+            '    node [shape=box, style=rounded];'
+        ];
+        var emit   = function (parent, indent)
+            {
+                for (var i = 0, n = graph.states.length; i < n; ++i)
+                {
+                    var s  = graph.states[i];
+                    if (s.parent !== parent) continue;
+                    var children = graph.states.some(function (c)
+                        {
+                            return c.parent === s.name;
+                        });
+                    if (children)
+                    {
+                        lines.push(indent + 'subgraph ' + quote('cluster_' + s.name) + ' {');
+                        lines.push(indent + '    label=' + quote(s.name) + ';');
+                        lines.push(indent + '    ' + quote(s.name) + ' [shape=point];');
+                        emit(s.name, indent + '    ');
+                        lines.push(indent + '}');
+                    }
+                    else lines.push(indent + quote(s.name) + ';');
+                }
+            };
+        emit(null, '    ');
+        lines.push('    "__start" [shape=point];');
+        lines.push('    "__start" -> ' + quote(graph.initial) + ';');
+        for (var i = 0, n = graph.transitions.length; i < n; ++i)
+        {
+            var t     = graph.transitions[i];
+            var label = String(t.event) + (t.guard ? ' [' + t.guard + ']' : '');
+            lines.push('    ' + quote(t.from) + ' -> ' + quote(t.to) +
+                       ' [label=' + quote(label) + '];');
+        }
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /// Constructor function for the core Emitter type, which provides a
+    /// simple node.js-style EventEmitter implementation.
+    var Emitter = function ()
+    {
+        /* empty */
+    };
+
+    /// Registers an event listener for a particular named event type.
+    /// @param event A string specifying the name of the event to listen for.
+    /// @param callback A function to invoke when the event is emitted.
+    /// @return A reference to the calling context.
+    Emitter.prototype.on = function (event, callback)
+    {
+        var  listeners   = this.listeners   || {};
+        var  handler     = listeners[event] || []; handler.push(callback);
+        this.listeners   = this.listeners   || listeners;
+        listeners[event] = handler;
+        return this;
+    };
+
+    /// Registers an event listener to be called once for a named event.
+    /// @param event A string specifying the name of the event to listen for.
+    /// @param callback A function to invoke when the event is emitted.
+    /// @return A reference to the calling context.
+    Emitter.prototype.once = function (event, callback)
+    {
+        var self = this;
+        var func = function ()
+            {
+                self.removeListener(event, func);
+                callback.apply(this, arguments);
+            };
+        func.callback = callback;
+        return self.on(event, func);
+    };
+
+    /// Registers an event listener for a particular named event type.
+    /// @param event A string specifying the name of the event to listen for.
+    /// @param callback A function to invoke when the event is emitted.
+    /// @return A reference to the calling context.
+    Emitter.prototype.addListener = Emitter.prototype.on; // alias
+
+    /// Removes a registered event listener for a particular named event type.
+    /// @param event A string specifying the name of the event.
+    /// @param callback The callback function registered to listen for @a event
+    /// and identifying which listener to remove.
+    /// @return A reference to the calling context.
+    Emitter.prototype.removeListener = function (event, callback)
+    {
+        var  listeners   = this.listeners   || {};
+        var  handler     = listeners[event] || [];
+        this.listeners   = this.listeners   || listeners;
+        handler.splice(handler.indexOf(callback), 1);
+        listeners[event] = handler;
+        return this;
+    };
+
+    /// Removes all registered event listeners for a particular event type.
+    /// @param event A string specifying the name of the event.
+    /// @return A reference to the calling context.
+    Emitter.prototype.removeAllListeners = function (event)
+    {
+        var  listeners   = this.listeners || {};
+        this.listeners   = this.listeners || listeners;
+        listeners[event] = null;
+        return this;
+    };
+
+    /// Emits a named event, immediately invoking all registered listeners. Any
+    /// additional arguments aside from @a event are passed to the listeners.
+    /// @param event A string specifying the name of the event being raised.
+    /// @return A reference to the calling context.
+    Emitter.prototype.emit = function (event)
+    {
+        var  listeners = this.listeners || {};
+        this.listeners = this.listeners || listeners;
+        var  listener  = this.listeners[event];
+        if  (listener)
+        {
+            var count  = arguments.length;
+            var n      = listener.length;
+            var i      = 0;
+            switch (count)
+            {
+                case 1:
+                    for (i = 0; i < n; ++i)
+                        listener[i].call(this);
+                    break;
+                case 2:
+                    for (i = 0; i < n; ++i)
+                        listener[i].call(this, arguments[1]);
+                    break;
+                case 3:
+                    for (i = 0; i < n; ++i)
+                        listener[i].call(this, arguments[1], arguments[2]);
+                    break;
+                default:
+                    var args = Array.prototype.slice.call(arguments, 1);
+                    for (i   = 0; i < n; ++i)
+                        listener[i].apply(this, args);
+                    break;
+            }
+        }
+        return this;
+    };
+
+    /// Adds the methods of the Emitter object to a specific instance of an
+    /// existing object. This is different from the inherits() function, which
+    /// adds the Emitter methods to the object prototype.
+    /// @param target The target object instance.
+    /// @return A reference to @a target.
+    function make_emitter(target)
+    {
+        target                    = target || {};
+        target.on                 = Emitter.prototype.on;
+        target.once               = Emitter.prototype.once;
+        target.emit               = Emitter.prototype.emit;
+        target.addListener        = Emitter.prototype.addListener;
+        target.removeListener     = Emitter.prototype.removeListener;
+        target.removeAllListeners = Emitter.prototype.removeAllListeners;
+        return target;
+    }
+
+    /// Define a utility function to perform prototype inheritence, such that a
+    /// child type inherits the fields and methods of a parent type.
+    /// @param childCtor The constructor function for the child type.
+    /// @param parentCtor The constructor function for the parent type.
+    function inherits(childCtor, parentCtor)
+    {
+        childCtor.supertype = parentCtor;
+        childCtor.prototype = Object.create(
+            parentCtor.prototype, {
+                constructor : {
+                    value         : childCtor,
+                    enumerable    : false,
+                    writable      : true,
+                    configurable  : true
+                }
+            });
+    }
+
+    /// Decodes a range of UTF-8 encoded bytes into a string. Invalid byte
+    /// sequences are replaced with the Unicode replacement character.
+    /// @param bytes A Uint8Array containing the encoded data.
+    /// @param start The zero-based index of the first byte to decode.
+    /// @param end The zero-based index of the byte just past the end of the
+    /// encoded data.
+    /// @return The decoded string.
+    function decodeUtf8(bytes, start, end)
+    {
+        var units  = [];
+        var result = '';
+        var i      = start;
+        while (i < end)
+        {
+            var b0 = bytes[i++];
+            var cp = 0xFFFD;
+            if (b0 < 0x80)
+            {
+                cp = b0;
+            }
+            else if (b0 >= 0xC0 && b0 < 0xE0 && i < end)
+            {
+                cp = ((b0 & 0x1F) << 6) | (bytes[i++] & 0x3F);
+            }
+            else if (b0 >= 0xE0 && b0 < 0xF0 && i + 1 < end)
+            {
+                cp = ((b0 & 0x0F) << 12)   |
+                     ((bytes[i++] & 0x3F) << 6) |
+                      (bytes[i++] & 0x3F);
+            }
+            else if (b0 >= 0xF0 && b0 < 0xF8 && i + 2 < end)
+            {
+                cp = ((b0 & 0x07) << 18)        |
+                     ((bytes[i++] & 0x3F) << 12) |
+                     ((bytes[i++] & 0x3F) << 6)  |
+                      (bytes[i++] & 0x3F);
+            }
+            if (cp > 0xFFFF)
+            {
+                // encode as a UTF-16 surrogate pair.
+                cp -= 0x10000;
+                units.push(0xD800 | (cp >> 10), 0xDC00 | (cp & 0x3FF));
+            }
+            else units.push(cp);
+
+            // flush periodically to keep the argument list to a sane size.
+            if (units.length >= 4096)
+            {
+                result += String.fromCharCode.apply(null, units);
+                units.length = 0;
+            }
+        }
+        return result + String.fromCharCode.apply(null, units);
+    }
+
+    /// Reads a NUL-terminated string field from a tar header block.
+    /// @param bytes A Uint8Array containing the header block.
+    /// @param offset The byte offset of the field within @a bytes.
+    /// @param length The maximum length of the field, in bytes.
+    /// @return The decoded field value.
+    function tarReadString(bytes, offset, length)
+    {
+        var end = offset;
+        var max = offset + length;
+        while (end < max && bytes[end] !== 0) ++end;
+        return decodeUtf8(bytes, offset, end);
+    }
+
+    /// Reads a numeric field from a tar header block. Numbers are normally
+    /// stored as octal ASCII digits, but GNU tar stores values that do not
+    /// fit in the field using a base-256 encoding flagged by the high bit.
+    /// @param bytes A Uint8Array containing the header block.
+    /// @param offset The byte offset of the field within @a bytes.
+    /// @param length The length of the field, in bytes.
+    /// @return The numeric value, or NaN if the field is malformed.
+    function tarReadNumber(bytes, offset, length)
+    {
+        var value = 0;
+        var end   = offset + length;
+        var i     = offset;
+        if (bytes[offset] & 0x80)
+        {
+            // base-256 encoding; negative values are not supported.
+            if (bytes[offset] === 0xFF) return NaN;
+            value = bytes[i++] & 0x7F;
+            while (i < end) value = value * 256 + bytes[i++];
+            return value;
+        }
+        // skip leading whitespace, then read digits until NUL or space.
+        while (i < end && bytes[i] === 0x20) ++i;
+        while (i < end && bytes[i] !== 0x00 && bytes[i] !== 0x20)
+        {
+            var digit = bytes[i++] - 0x30;
+            if (digit < 0 || digit > 7) return NaN;
+            value = value * 8 + digit;
+        }
+        return value;
+    }
+
+    /// Determines whether a block consists entirely of zero bytes. Two such
+    /// blocks mark the end of a tar archive.
+    /// @param bytes A Uint8Array containing the block.
+    /// @param offset The byte offset of the start of the block.
+    /// @return true if every byte in the block is zero.
+    function tarIsZeroBlock(bytes, offset)
+    {
+        for (var i = offset, n = offset + tar.BLOCK_SIZE; i < n; ++i)
+        {
+            if (bytes[i] !== 0) return false;
+        }
+        return true;
+    }
+
+    /// Parses and validates a single tar header block.
+    /// @param bytes A Uint8Array containing the header block.
+    /// @param offset The byte offset of the start of the header block.
+    /// @return An object with name, mode, size, mtime, type and linkName
+    /// fields, or null if the header checksum or numeric fields are invalid.
+    function tarReadHeader(bytes, offset)
+    {
+        // the checksum is computed with the checksum field set to spaces.
+        // some historic implementations used signed bytes, so accept both.
+        var csBegin  = offset   + tar.CHECKSUM_OFFSET;
+        var csEnd    = csBegin  + tar.CHECKSUM_LENGTH;
+        var unsigned = 0;
+        var signed   = 0;
+        for (var i   = offset, n = offset + tar.BLOCK_SIZE; i < n; ++i)
+        {
+            var b    =(i >= csBegin && i < csEnd) ? 0x20 : bytes[i];
+            unsigned+= b;
+            signed  +=(b & 0x80) ? b - 256 : b;
+        }
+        var stored   = tarReadNumber(bytes, csBegin, tar.CHECKSUM_LENGTH);
+        if (stored !== unsigned && stored !== signed)
+        {
+            return null;
+        }
+
+        var size     = tarReadNumber(bytes, offset + tar.SIZE_OFFSET,  tar.SIZE_LENGTH);
+        var mtime    = tarReadNumber(bytes, offset + tar.MTIME_OFFSET, tar.MTIME_LENGTH);
+        var mode     = tarReadNumber(bytes, offset + tar.MODE_OFFSET,  tar.MODE_LENGTH);
+        var type     = String.fromCharCode(bytes[offset + tar.TYPE_OFFSET]);
+        var name     = tarReadString(bytes, offset + tar.NAME_OFFSET,  tar.NAME_LENGTH);
+        var link     = tarReadString(bytes, offset + tar.LINK_OFFSET,  tar.LINK_LENGTH);
+        var magic    = tarReadString(bytes, offset + tar.MAGIC_OFFSET, tar.MAGIC_LENGTH);
+        if (isNaN(size) || isNaN(mtime))
+        {
+            return null;
+        }
+        if (magic === 'ustar')
+        {
+            // POSIX ustar archives may split long names into a prefix. GNU
+            // archives use the magic 'ustar ' and store other data here.
+            var prefix = tarReadString(bytes, offset + tar.PREFIX_OFFSET, tar.PREFIX_LENGTH);
+            if (prefix.length > 0) name = prefix + '/' + name;
+        }
+        if (type === '\0') type = tar_entry_type.FILE;
+        return {
+            name     : name,
+            mode     : isNaN(mode) ? 0 : mode,
+            size     : size,
+            mtime    : mtime,
+            type     : type,
+            linkName : link
+        };
+    }
+
+    /// Parses the records of a pax extended header. Each record has the form
+    /// '<length> <key>=<value>\n', where length includes the entire record.
+    /// @param bytes A Uint8Array containing the extended header data.
+    /// @param start The byte offset of the first record.
+    /// @param end The byte offset just past the last record.
+    /// @param attributes The object to which parsed key/value pairs are
+    /// written. Records with an empty value delete the key.
+    /// @return true if the records were parsed successfully.
+    function tarReadPaxRecords(bytes, start, end, attributes)
+    {
+        var i = start;
+        while (i < end && bytes[i] !== 0)
+        {
+            var length = 0;
+            var cursor = i;
+            while (cursor < end && bytes[cursor] >= 0x30 && bytes[cursor] <= 0x39)
+            {
+                length = length * 10 + (bytes[cursor++] - 0x30);
+            }
+            if (cursor >= end || bytes[cursor] !== 0x20 || length === 0)
+            {
+                return false;
+            }
+            var recordEnd = i + length;
+            if (recordEnd > end || bytes[recordEnd - 1] !== 0x0A)
+            {
+                return false;
+            }
+            var equals = ++cursor;
+            while (equals < recordEnd && bytes[equals] !== 0x3D) ++equals;
+            if (equals >= recordEnd)
+            {
+                return false;
+            }
+            var key   = decodeUtf8(bytes, cursor, equals);
+            var value = decodeUtf8(bytes, equals + 1, recordEnd - 1);
+            if (value.length > 0) attributes[key] = value;
+            else delete attributes[key];
+            i = recordEnd;
+        }
+        return true;
+    }
+
+    /// Creates the state used to track extended header data between entries
+    /// while reading a tar archive.
+    /// @return An object used to track the tar reader state.
+    function createTarReaderState()
+    {
+        return {
+            longName   : null, /* GNU 'L' name for the next entry     */
+            longLink   : null, /* GNU 'K' link name for the next entry */
+            paxLocal   : null, /* pax 'x' attributes for next entry    */
+            paxGlobal  : {}    /* pax 'g' attributes for all entries   */
+        };
+    }
+
+    /// Looks up a pax attribute, preferring the per-entry value over the
+    /// global value.
+    /// @param state The tar reader state.
+    /// @param key The attribute name.
+    /// @return The attribute value string, or undefined.
+    function tarPaxAttribute(state, key)
+    {
+        if (state.paxLocal && state.paxLocal[key] !== undefined)
+        {
+            return state.paxLocal[key];
+        }
+        return state.paxGlobal[key];
+    }
+
+    /// Begins processing an entry after its header block has been read. Any
+    /// pending extended header data is applied to the entry, which determines
+    /// the actual entry name and size.
+    /// @param state The tar reader state. See createTarReaderState().
+    /// @param header The header object returned by tarReadHeader().
+    /// @return An object describing the entry. The size field specifies the
+    /// number of data bytes that follow the header.
+    function tarBeginEntry(state, header)
+    {
+        var entry  = {
+            name     : header.name,
+            size     : header.size,
+            mtime    : header.mtime,
+            type     : header.type,
+            mode     : header.mode,
+            linkName : header.linkName,
+            offset   : 0,
+            data     : null
+        };
+        switch (header.type)
+        {
+            case tar_entry_type.PAX_HEADER:
+            case tar_entry_type.PAX_GLOBAL_HEADER:
+            case tar_entry_type.GNU_LONG_NAME:
+            case tar_entry_type.GNU_LONG_LINK:
+                // extended headers are not modified by other extended headers.
+                return entry;
+            default:
+                break;
+        }
+
+        var path   = tarPaxAttribute(state, 'path');
+        var link   = tarPaxAttribute(state, 'linkpath');
+        var size   = tarPaxAttribute(state, 'size');
+        var mtime  = tarPaxAttribute(state, 'mtime');
+        if (path  !== undefined) entry.name     = path;
+        if (link  !== undefined) entry.linkName = link;
+        if (size  !== undefined) entry.size     = parseInt(size, 10);
+        if (mtime !== undefined) entry.mtime    = parseFloat(mtime);
+        if (state.longName !== null)
+        {
+            entry.name     = state.longName;
+            state.longName = null;
+        }
+        if (state.longLink !== null)
+        {
+            entry.linkName = state.longLink;
+            state.longLink = null;
+        }
+        state.paxLocal = null;
+        return entry;
+    }
+
+    /// Completes processing of an entry once all of its data is available.
+    /// Extended header entries update the reader state and are consumed.
+    /// @param state The tar reader state. See createTarReaderState().
+    /// @param entry The entry object returned by tarBeginEntry().
+    /// @param data A Uint8Array containing the entry data.
+    /// @return The completed entry, null if the entry was an extended header,
+    /// or undefined if the extended header data is malformed.
+    function tarEndEntry(state, entry, data)
+    {
+        switch (entry.type)
+        {
+            case tar_entry_type.PAX_HEADER:
+                state.paxLocal = state.paxLocal || {};
+                if (!tarReadPaxRecords(data, 0, data.length, state.paxLocal))
+                    return undefined;
+                return null;
+            case tar_entry_type.PAX_GLOBAL_HEADER:
+                if (!tarReadPaxRecords(data, 0, data.length, state.paxGlobal))
+                    return undefined;
+                return null;
+            case tar_entry_type.GNU_LONG_NAME:
+                state.longName = tarReadString(data, 0, data.length);
+                return null;
+            case tar_entry_type.GNU_LONG_LINK:
+                state.longLink = tarReadString(data, 0, data.length);
+                return null;
+            default:
+                entry.data = data;
+                return entry;
+        }
+    }
+
+    /// Reads the table of entries from a tar archive stored in memory. POSIX
+    /// ustar archives are supported, along with pax extended headers and the
+    /// GNU long name extensions. No data is copied; each entry references the
+    /// data stored in @a archive.
+    /// @param archive An ArrayBuffer, or a Uint8Array view of an ArrayBuffer,
+    /// containing the archive data.
+    /// @return An array of entry objects, in the order they appear within the
+    /// archive, or null if the archive is malformed or truncated. Each entry
+    /// has the following fields:
+    /// obj.name The full path of the entry within the archive.
+    /// obj.size The size of the entry data, in bytes.
+    /// obj.mtime The entry modification time, in seconds since the epoch.
+    /// obj.type One of the values of the tarEntryType export.
+    /// obj.mode The entry file mode bits.
+    /// obj.linkName The target of a link entry, or an empty string.
+    /// obj.offset The byte offset of the entry data within the archive.
+    /// obj.data A Uint8Array view of the entry data within the archive.
+    function parseTarArchive(archive)
+    {
+        var bytes   = ArrayBuffer.isView(archive) ?
+            new Uint8Array(archive.buffer, archive.byteOffset, archive.byteLength) :
+            new Uint8Array(archive);
+        var state   = createTarReaderState();
+        var entries = [];
+        var offset  = 0;
+        var block   = tar.BLOCK_SIZE;
+        while (offset + block <= bytes.length)
+        {
+            if (tarIsZeroBlock(bytes, offset))
+            {
+                // end-of-archive marker. trailing blocks are ignored.
+                return entries;
+            }
+            var header = tarReadHeader(bytes, offset);
+            if (header === null)
+            {
+                // the header block is corrupt.
+                return null;
+            }
+            var entry  = tarBeginEntry(state, header);
+            var start  = offset + block;
+            if (isNaN(entry.size) || start + entry.size > bytes.length)
+            {
+                // the archive is truncated.
+                return null;
+            }
+            var size   = entry.size;
+            var data   = bytes.subarray(start, start + size);
+            entry.offset = start;
+            entry      = tarEndEntry(state, entry, data);
+            if (entry === undefined)
+            {
+                // an extended header is malformed.
+                return null;
+            }
+            if (entry !== null) entries.push(entry);
+            // data is padded out to a whole number of blocks.
+            offset     = start + Math.ceil(size / block) * block;
+        }
+        // archives missing the end-of-archive marker are accepted.
+        return (offset === bytes.length) ? entries : null;
+    }
+
+    /// Generates the key used to store the data for a single package entry
+    /// within the content cache entry store.
+    /// @param name The package name.
+    /// @param version The package version string.
+    /// @param entryName The path of the entry within the package.
+    /// @return A string key uniquely identifying the entry.
+    function contentCacheKey(name, version, entryName)
+    {
+        return name + '@' + version + ':' + entryName;
+    }
+
+    /// Creates a new content cache instance. The cache stores extracted
+    /// package entries in IndexedDB, keeping at most one version of each
+    /// package. Call contentCacheOpen() before using the cache.
+    /// @param databaseName The name of the IndexedDB database.
+    /// @param idbFactory An optional object implementing the IDBFactory
+    /// interface. If not specified, window.indexedDB is used. Supply an
+    /// in-memory implementation to run without a browser.
+    /// @param budget The maximum number of bytes of entry data to keep in the
+    /// cache. When a commit exceeds the budget, the least-recently used
+    /// packages that are not pinned are evicted. Specify zero for no limit.
+    /// @return A new content cache object. The object is an Emitter, and
+    /// raises 'cache:commit', 'cache:delete' and 'cache:evict' events.
+    function createContentCache(databaseName, idbFactory, budget)
+    {
+        return make_emitter({
+            databaseName : databaseName,
+            factory      : idbFactory || window.indexedDB,
+            database     : null,
+            budget       : defaultValue(budget, content_cache.DEFAULT_BUDGET),
+            pinned       : Object.create(null), /* name => true           */
+            packages     : Object.create(null)  /* name => package record */
+        });
+    }
+
+    /// Opens the database backing a content cache, creating it if necessary,
+    /// and loads the package records into memory.
+    /// @param cache The content cache returned by createContentCache().
+    /// @param callback A function (error, cache) : void invoked when the
+    /// operation has completed. On failure, @a error is set.
+    function contentCacheOpen(cache, callback)
+    {
+        var store   = content_cache;
+        var request = cache.factory.open(cache.databaseName, store.DATABASE_VERSION);
+        request.onupgradeneeded = function (e)
+            {
+                var db  = request.result;
+                if (!db.objectStoreNames.contains(store.PACKAGE_STORE))
+                    db.createObjectStore(store.PACKAGE_STORE, { keyPath : 'name' });
+                if (!db.objectStoreNames.contains(store.ENTRY_STORE))
+                    db.createObjectStore(store.ENTRY_STORE);
+            };
+        request.onerror = function (e)
+            {
+                callback(request.error, cache);
+            };
+        request.onsuccess = function (e)
+            {
+                var db  = request.result;
+                var tx  = db.transaction(store.PACKAGE_STORE, 'readonly');
+                var cur = tx.objectStore(store.PACKAGE_STORE).openCursor();
+                var pkg = Object.create(null);
+                db.onversionchange = function ()
+                    {
+                        // another page is upgrading the database.
+                        contentCacheClose(cache);
+                    };
+                cur.onsuccess = function (e)
+                    {
+                        var cursor = cur.result;
+                        if (cursor)
+                        {
+                            var record = cursor.value;
+                            record.lastAccess  = record.lastAccess || record.time;
+                            record.lastWritten = record.lastAccess;
+                            pkg[record.name]   = record;
+                            cursor.continue();
+                        }
+                    };
+                tx.oncomplete = function (e)
+                    {
+                        cache.database = db;
+                        cache.packages = pkg;
+                        callback(null, cache);
+                    };
+                tx.onerror = function (e)
+                    {
+                        db.close();
+                        callback(tx.error, cache);
+                    };
+            };
+    }
+
+    /// Closes the database backing a content cache.
+    /// @param cache The content cache to close.
+    function contentCacheClose(cache)
+    {
+        if (cache.database)
+        {
+            cache.database.close();
+            cache.database = null;
+        }
+        cache.packages = Object.create(null);
+    }
+
+    /// Determines whether a specific version of a package is cached.
+    /// @param cache The content cache to query.
+    /// @param name The package name.
+    /// @param version The package version string.
+    /// @return true if the specified version of the package is cached.
+    function contentCacheHas(cache, name, version)
+    {
+        var record = cache.packages[name];
+        return (record !== undefined && record.version === version);
+    }
+
+    /// Retrieves the version of a package currently stored in the cache.
+    /// @param cache The content cache to query.
+    /// @param name The package name.
+    /// @return The cached version string, or null if the package is not
+    /// present in the cache.
+    function contentCacheVersion(cache, name)
+    {
+        var record = cache.packages[name];
+        return (record !== undefined) ? record.version : null;
+    }
+
+    /// Marks a package as pinned or unpinned. Pinned packages, such as a base
+    /// content pack, are never evicted to satisfy the cache budget. The pinned
+    /// state is not persisted and should be set each time the cache is opened.
+    /// @param cache The content cache.
+    /// @param name The package name.
+    /// @param pinned true to pin the package, or false to unpin it.
+    function contentCachePin(cache, name, pinned)
+    {
+        if (pinned) cache.pinned[name] = true;
+        else delete cache.pinned[name];
+    }
+
+    /// Sets the maximum number of bytes of entry data to keep in the cache.
+    /// The new budget takes effect on the next commit, or immediately if
+    /// contentCacheEnforceBudget() is called.
+    /// @param cache The content cache.
+    /// @param budget The budget, in bytes. Specify zero for no limit.
+    function contentCacheSetBudget(cache, budget)
+    {
+        cache.budget = budget;
+    }
+
+    /// Computes the total size of the entry data stored in the cache.
+    /// @param cache The content cache to query.
+    /// @return The total size of all cached packages, in bytes.
+    function contentCacheUsage(cache)
+    {
+        var total = 0;
+        var names = Object.keys(cache.packages);
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            total += cache.packages[names[i]].size;
+        }
+        return total;
+    }
+
+    /// Updates the last-access time of a cached package. The new time is kept
+    /// in memory, and written to the database at most once per
+    /// ACCESS_WRITE_INTERVAL to avoid a write for every entry read. Nothing
+    /// is written if the cache has been closed.
+    /// @param cache The content cache.
+    /// @param name The package name.
+    function contentCacheTouch(cache, name)
+    {
+        var record  = cache.packages[name];
+        var now     = Date.now();
+        if (record === undefined)
+        {
+            return;
+        }
+        record.lastAccess = now;
+        if (cache.database !== null &&
+            now - record.lastWritten >= content_cache.ACCESS_WRITE_INTERVAL)
+        {
+            var store = content_cache.PACKAGE_STORE;
+            var tx    = cache.database.transaction(store, 'readwrite');
+            record.lastWritten = now;
+            tx.objectStore(store).put(record);
+        }
+    }
+
+    /// Evicts least-recently used packages until the cache is within budget.
+    /// Pinned packages and the package named by @a exclude are never evicted.
+    /// Each evicted package raises a 'cache:evict' (cache, record) event.
+    /// @param cache The content cache.
+    /// @param exclude The name of a package that must not be evicted, or null.
+    /// @param callback A function (error, evicted) : void invoked when done,
+    /// where @a evicted is an array of the evicted package records.
+    function contentCacheEvict(cache, exclude, callback)
+    {
+        var usage      = contentCacheUsage(cache);
+        var evicted    = [];
+        var candidates = [];
+        var names      = Object.keys(cache.packages);
+        if (cache.budget <= 0 || usage <= cache.budget)
+        {
+            callback(null, evicted);
+            return;
+        }
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            if (names[i] === exclude || cache.pinned[names[i]]) continue;
+            candidates.push(cache.packages[names[i]]);
+        }
+        candidates.sort(function (a, b)
+            {
+                return a.lastAccess - b.lastAccess;
+            });
+        var next = function (error)
+            {
+                if (error || usage <= cache.budget || candidates.length === 0)
+                {
+                    callback(error || null, evicted);
+                    return;
+                }
+                var record = candidates.shift();
+                contentCacheDelete(cache, record.name, function (error)
+                    {
+                        if (!error)
+                        {
+                            usage -= record.size;
+                            evicted.push(record);
+                            cache.emit('cache:evict', cache, record);
+                        }
+                        next(error);
+                    });
+            };
+        next(null);
+    }
+
+    /// Evicts least-recently used packages that are not pinned until the total
+    /// size of the cache is within its budget.
+    /// @param cache The content cache.
+    /// @param callback An optional function (error, evicted) : void invoked
+    /// when done, where @a evicted is an array of the evicted package records.
+    function contentCacheEnforceBudget(cache, callback)
+    {
+        contentCacheEvict(cache, null, callback || function () {});
+    }
+
+    /// Stores the entries of a package in the content cache. Any other version
+    /// of the same package is removed as part of the same transaction.
+    /// @param cache The content cache to update.
+    /// @param name The package name.
+    /// @param version The package version string.
+    /// @param entries An array of entry objects, typically as returned by the
+    /// parseTarArchive() function. The data for each entry is copied.
+    /// @param callback A function (error, record) : void invoked when the
+    /// transaction has completed and the cache budget has been enforced. On
+    /// success, @a record is the package record describing the cached package.
+    function contentCacheCommit(cache, name, version, entries, callback)
+    {
+        var store  = content_cache;
+        var old    = cache.packages[name];
+        var stores = [store.PACKAGE_STORE, store.ENTRY_STORE];
+        var tx     = cache.database.transaction(stores, 'readwrite');
+        var es     = tx.objectStore(store.ENTRY_STORE);
+        var record = {
+            name        : name,
+            version     : version,
+            size        : 0,
+            time        : Date.now(),
+            lastAccess  : Date.now(),
+            lastWritten : Date.now(),
+            entries     : new Array(entries.length)
+        };
+        if (old !== undefined)
+        {
+            // remove the data for the previously cached version.
+            for (var i = 0, n = old.entries.length; i < n; ++i)
+            {
+                es.delete(contentCacheKey(name, old.version, old.entries[i].name));
+            }
+        }
+        for (var i = 0, n = entries.length; i < n; ++i)
+        {
+            var entry = entries[i];
+            var data  = entry.data;
+            record.entries[i] = {
+                name  : entry.name,
+                size  : entry.size,
+                mtime : entry.mtime,
+                type  : entry.type,
+                crc   : undefined
+            };
+            record.size += entry.size;
+            if (data)
+            {
+                // copy only the bytes covered by the view. the checksum is
+                // used to detect corruption when the entry is read back.
+                var end = data.byteOffset + data.byteLength;
+                record.entries[i].crc = computeHash(data, 'crc32');
+                es.put(data.buffer.slice(data.byteOffset, end),
+                       contentCacheKey(name, version, entry.name));
+            }
+        }
+        tx.objectStore(store.PACKAGE_STORE).put(record);
+        tx.oncomplete = function (e)
+            {
+                cache.packages[name] = record;
+                cache.emit('cache:commit', cache, record);
+                contentCacheEvict(cache, name, function (error, evicted)
+                    {
+                        callback(error, record);
+                    });
+            };
+        tx.onabort = function (e)
+            {
+                callback(tx.error, null);
+            };
+    }
+
+    /// Reads the data for a single entry of a cached package.
+    /// @param cache The content cache to read from.
+    /// @param name The package name.
+    /// @param version The package version string.
+    /// @param entryName The path of the entry within the package.
+    /// @param callback A function (error, data) : void invoked when the read
+    /// has completed. On success, @a data is an ArrayBuffer. If the data does
+    /// not match the checksum recorded when the package was committed, the
+    /// package is evicted and an error is returned.
+    function contentCacheReadEntry(cache, name, version, entryName, callback)
+    {
+        if (!contentCacheHas(cache, name, version))
+        {
+            var msg = 'Package '+name+' version '+version+' is not cached.';
+            callback(new Error(msg), null);
+            return;
+        }
+        var store   = content_cache;
+        var tx      = cache.database.transaction(store.ENTRY_STORE, 'readonly');
+        var key     = contentCacheKey(name, version, entryName);
+        var request = tx.objectStore(store.ENTRY_STORE).get(key);
+        request.onsuccess = function (e)
+            {
+                if (request.result === undefined)
+                {
+                    var msg = 'Entry '+entryName+' not found in '+name+'.';
+                    callback(new Error(msg), null);
+                    return;
+                }
+                var data   = request.result;
+                var record = cache.packages[name];
+                var meta   = contentCacheFindEntry(record, entryName);
+                contentCacheTouch(cache, name);
+                var actual = computeHash(data, 'crc32');
+                if (meta && meta.crc !== undefined && meta.crc !== actual)
+                {
+                    contentCacheEvictCorrupt(cache, record, {
+                        entry    : entryName,
+                        expected : meta.crc,
+                        actual   : actual
+                    }, callback);
+                    return;
+                }
+                callback(null, data);
+            };
+        request.onerror = function (e)
+            {
+                callback(request.error, null);
+            };
+    }
+
+    /// Removes all cached data for a package.
+    /// @param cache The content cache to update.
+    /// @param name The name of the package to remove.
+    /// @param callback An optional function (error) : void invoked when the
+    /// transaction has completed.
+    function contentCacheDelete(cache, name, callback)
+    {
+        var store  = content_cache;
+        var record = cache.packages[name];
+        if (record === undefined)
+        {
+            if (callback) callback(null);
+            return;
+        }
+        var stores = [store.PACKAGE_STORE, store.ENTRY_STORE];
+        var tx     = cache.database.transaction(stores, 'readwrite');
+        var es     = tx.objectStore(store.ENTRY_STORE);
+        for (var i = 0, n = record.entries.length; i < n; ++i)
+        {
+            es.delete(contentCacheKey(name, record.version, record.entries[i].name));
+        }
+        tx.objectStore(store.PACKAGE_STORE).delete(name);
+        tx.oncomplete = function (e)
+            {
+                if (cache.packages[name] === record)
+                    delete cache.packages[name];
+                cache.emit('cache:delete', cache, record);
+                if (callback) callback(null);
+            };
+        tx.onabort = function (e)
+            {
+                if (callback) callback(tx.error);
+            };
+    }
+
+    /// A handy utility function that prevents having to write the same
+    /// obnoxious code everytime. The typical javascript '||' trick works for
+    /// strings, arrays and objects, but it doesn't work for booleans or
+    /// integer values.
+    /// @param value The value to test.
+    /// @param theDefault The value to return if @a value is undefined.
+    /// @return Either @a value or @a theDefault (if @a value is undefined.)
+    function defaultValue(value, theDefault)
+    {
+        return (value !== undefined) ? value : theDefault;
+    }
+
+    /// Implements the default request factory for the content downloader.
+    /// @return A new XMLHttpRequest instance.
+    function defaultRequestFactory()
+    {
+        return new XMLHttpRequest();
+    }
+
+    /// Creates a new content downloader. The downloader fetches files as
+    /// ArrayBuffers and raises 'download:progress', 'download:complete',
+    /// 'download:error' and 'download:cancelled' events.
+    /// @param options An optional object specifying downloader attributes.
+    /// @param options.concurrency The maximum number of active requests.
+    /// @param options.retryCount The number of times a failed request is
+    /// retried before the 'download:error' event is raised.
+    /// @param options.retryDelay The delay before the first retry attempt,
+    /// specified in milliseconds.
+    /// @param options.retryBackoff The factor by which the retry delay is
+    /// multiplied for each subsequent attempt.
+    /// @param options.emitter The Emitter used to raise events. Defaults to
+    /// the Bitstorm object, which also raises 'dom:ready' and 'window:ready'.
+    /// @param options.createRequest A function () : XMLHttpRequest used to
+    /// create request objects. Supply a stand-in for headless testing.
+    /// @param options.setTimeout The function used to schedule retries.
+    /// @param options.clearTimeout The function used to cancel retries.
+    /// @return A new downloader object.
+    function createDownloader(options)
+    {
+        options = options || {};
+        return {
+            concurrency   : defaultValue(options.concurrency,  download.DEFAULT_CONCURRENCY),
+            retryCount    : defaultValue(options.retryCount,   download.DEFAULT_RETRY_COUNT),
+            retryDelay    : defaultValue(options.retryDelay,   download.DEFAULT_RETRY_DELAY),
+            retryBackoff  : defaultValue(options.retryBackoff, download.DEFAULT_RETRY_BACKOFF),
+            emitter       : options.emitter       || exports,
+            createRequest : options.createRequest || defaultRequestFactory,
+            setTimeout    : options.setTimeout    || window.setTimeout.bind(window),
+            clearTimeout  : options.clearTimeout  || window.clearTimeout.bind(window),
+            nextId        : 1,
+            activeCount   : 0,
+            queue         : [], /* requests waiting for a free slot */
+            requests      : {}  /* request id => request             */
+        };
+    }
+
+    /// Starts as many queued requests as the concurrency limit allows.
+    /// @param dl The downloader instance.
+    function downloaderPump(dl)
+    {
+        while (dl.activeCount < dl.concurrency && dl.queue.length > 0)
+        {
+            downloaderStart(dl, dl.queue.shift());
+        }
+    }
+
+    /// Finishes a request, releasing its download slot, and optionally starts
+    /// the next queued request.
+    /// @param dl The downloader instance.
+    /// @param request The request being finished.
+    /// @param status One of the values of download_status.
+    function downloaderFinish(dl, request, status)
+    {
+        if (request.status === download_status.ACTIVE) dl.activeCount--;
+        request.status  = status;
+        request.xhr     = null;
+        request.timer   = null;
+        if (status !== download_status.RETRY_WAIT)
+        {
+            delete dl.requests[request.id];
+        }
+    }
+
+    /// Handles a failed attempt for a request, either scheduling a retry or
+    /// raising the 'download:error' event.
+    /// @param dl The downloader instance.
+    /// @param request The request that failed.
+    /// @param error An Error instance describing the failure.
+    /// @param canRetry true if the failure is transient and can be retried.
+    function downloaderFail(dl, request, error, canRetry)
+    {
+        if (canRetry && request.attempt <= dl.retryCount)
+        {
+            var scale = Math.pow(dl.retryBackoff, request.attempt - 1);
+            var delay = dl.retryDelay * scale;
+            downloaderFinish(dl, request, download_status.RETRY_WAIT);
+            request.timer = dl.setTimeout(function ()
+                {
+                    // retries go to the front of the queue.
+                    request.timer  = null;
+                    request.status = download_status.QUEUED;
+                    dl.queue.unshift(request);
+                    downloaderPump(dl);
+                }, delay);
+            downloaderPump(dl);
+        }
+        else
+        {
+            // refill the slot first, in case an event listener throws.
+            downloaderFinish(dl, request, download_status.FAILED);
+            downloaderPump(dl);
+            dl.emitter.emit('download:error', request, error);
+        }
+    }
+
+    /// Starts a single attempt to download the file for a request.
+    /// @param dl The downloader instance.
+    /// @param request The request to start.
+    function downloaderStart(dl, request)
+    {
+        var xhr         = dl.createRequest();
+        request.xhr     = xhr;
+        request.status  = download_status.ACTIVE;
+        request.attempt+= 1;
+        request.loaded  = 0;
+        dl.activeCount++;
+        xhr.open('GET', request.url, true);
+        xhr.responseType = 'arraybuffer';
+        xhr.onprogress = function (e)
+            {
+                if (request.xhr !== xhr) return;
+                request.loaded = e.loaded;
+                if (e.lengthComputable) request.total = e.total;
+                dl.emitter.emit('download:progress', request, e.loaded, request.total);
+            };
+        xhr.onload = function (e)
+            {
+                if (request.xhr !== xhr) return;
+                if (xhr.status >= 200 && xhr.status < 300)
+                {
+                    var data       = xhr.response;
+                    request.loaded = data.byteLength;
+                    request.total  = data.byteLength;
+                    downloaderFinish(dl, request, download_status.COMPLETE);
+                    downloaderPump(dl);
+                    dl.emitter.emit('download:complete', request, data);
+                }
+                else
+                {
+                    // server errors may be transient; client errors are not.
+                    var error = new Error('GET '+request.url+' returned '+xhr.status);
+                    downloaderFail(dl, request, error, xhr.status >= 500);
+                }
+            };
+        xhr.onerror = function (e)
+            {
+                if (request.xhr !== xhr) return;
+                var error = new Error('GET '+request.url+' failed');
+                downloaderFail(dl, request, error, true);
+            };
+        xhr.ontimeout = function (e)
+            {
+                if (request.xhr !== xhr) return;
+                var error = new Error('GET '+request.url+' timed out');
+                downloaderFail(dl, request, error, true);
+            };
+        xhr.onabort = function (e)
+            {
+                // requests cancelled with downloaderCancel() are detached
+                // before they are aborted, so this is an abort by the browser.
+                if (request.xhr !== xhr) return;
+                var error = new Error('GET '+request.url+' was aborted');
+                downloaderFail(dl, request, error, true);
+            };
+        xhr.send();
+    }
+
+    /// Queues a file for download.
+    /// @param dl The downloader instance.
+    /// @param url The URL of the file to download.
+    /// @param userData Optional application data stored on the request.
+    /// @return An object representing the request. The id field can be
+    /// passed to downloaderCancel(). The request object is passed as the
+    /// first argument to all download events.
+    function downloaderRequest(dl, url, userData)
+    {
+        var request     = {
+            id          : dl.nextId++,
+            url         : url,
+            userData    : userData,
+            status      : download_status.QUEUED,
+            attempt     : 0,
+            loaded      : 0,
+            total       : 0,
+            xhr         : null,
+            timer       : null
+        };
+        dl.requests[request.id] = request;
+        dl.queue.push(request);
+        downloaderPump(dl);
+        return request;
+    }
+
+    /// Cancels a pending download request and raises 'download:cancelled'.
+    /// @param dl The downloader instance.
+    /// @param requestId The identifier of the request to cancel.
+    /// @return true if the request was cancelled, or false if the request has
+    /// already completed, failed or been cancelled.
+    function downloaderCancel(dl, requestId)
+    {
+        var request = dl.requests[requestId];
+        if (request === undefined)
+        {
+            return false;
+        }
+        switch (request.status)
+        {
+            case download_status.QUEUED:
+                dl.queue.splice(dl.queue.indexOf(request), 1);
+                break;
+            case download_status.ACTIVE:
+                var xhr     = request.xhr;
+                request.xhr = null;
+                xhr.abort();
+                break;
+            case download_status.RETRY_WAIT:
+                dl.clearTimeout(request.timer);
+                break;
+        }
+        downloaderFinish(dl, request, download_status.CANCELLED);
+        downloaderPump(dl);
+        dl.emitter.emit('download:cancelled', request);
+        return true;
+    }
+
+    /// Cancels all pending download requests.
+    /// @param dl The downloader instance.
+    function downloaderCancelAll(dl)
+    {
+        var ids = Object.keys(dl.requests);
+        for (var i = 0, n = ids.length; i < n; ++i)
+        {
+            downloaderCancel(dl, ids[i]);
+        }
+    }
+
+    /// Parses and validates a content manifest. A manifest is a JSON document
+    /// of the form:
+    /// {
+    ///     "baseUrl"  : "content/",
+    ///     "packages" : {
+    ///         "base"   : {
+    ///             "version"      : "1.0.0",
+    ///             "url"          : "base-1.0.0.tar",
+    ///             "size"         : 1048576,
+    ///             "hash"         : "sha256:9f86d081...",
+    ///             "dependencies" : []
+    ///         },
+    ///         "level3" : {
+    ///             "version"      : "1.2.0",
+    ///             "url"          : "level3-1.2.0.tar",
+    ///             "size"         : 524288,
+    ///             "hash"         : "sha256:60303ae2...",
+    ///             "dependencies" : ["base"]
+    ///         }
+    ///     }
+    /// }
+    /// The baseUrl field is optional; when present, it is prepended to every
+    /// package URL that is not absolute. The size, hash and dependencies
+    /// fields of each package are optional. Hashes have the form
+    /// '<algorithm>:<hex digest>', where algorithm is 'sha256' or 'crc32'.
+    /// A package may also specify an "entries" object mapping entry paths to
+    /// hashes, which are checked individually after extraction.
+    /// @param source The manifest, either as a JSON string or as an object.
+    /// @param errorFunc An optional function with signature:
+    /// function errorFunc(packageName, message) : void
+    /// invoked for each problem found in the manifest.
+    /// @return An object with baseUrl and packages fields, where packages maps
+    /// each package name to a normalized package record with name, version,
+    /// url, size, hash, entryHashes and dependencies fields, or null if the
+    /// manifest is invalid.
+    function parseManifest(source, errorFunc)
+    {
+        var data    = source;
+        var valid   = true;
+        var fail    = function (name, message)
+            {
+                if (errorFunc) errorFunc(name, message);
+                valid   = false;
+            };
+        if (typeof source === 'string')
+        {
+            try
+            {
+                data    = JSON.parse(source);
+            }
+            catch (e)
+            {
+                fail(null, 'The manifest is not valid JSON: ' + e.message);
+                return null;
+            }
+        }
+        if (!data || typeof data.packages !== 'object' || !data.packages)
+        {
+            fail(null, 'The manifest does not define a packages object.');
+            return null;
+        }
+
+        var baseUrl  = data.baseUrl || '';
+        var manifest = {
+            baseUrl  : baseUrl,
+            packages : Object.create(null)
+        };
+        var names    = Object.keys(data.packages);
+        for (var i   = 0, n = names.length; i < n; ++i)
+        {
+            var name = names[i];
+            var src  = data.packages[name];
+            if (!src || typeof src !== 'object')
+            {
+                fail(name, 'The package entry is not an object.');
+                continue;
+            }
+            var url  = src.url;
+            if (src.dependencies !== undefined && !Array.isArray(src.dependencies))
+            {
+                fail(name, 'The package dependencies are not an array.');
+                continue;
+            }
+            if (typeof src.version !== 'string' || src.version.length === 0)
+            {
+                fail(name, 'The package does not specify a version.');
+                continue;
+            }
+            if (typeof url !== 'string' || url.length === 0)
+            {
+                fail(name, 'The package does not specify a url.');
+                continue;
+            }
+            if (!/^([a-z][a-z0-9+.\-]*:|\/)/i.test(url))
+            {
+                // the URL is relative; resolve it against the base URL.
+                url  = baseUrl + url;
+            }
+            manifest.packages[name] = {
+                name         : name,
+                version      : src.version,
+                url          : url,
+                size         : src.size || 0,
+                hash         : src.hash || null,
+                entryHashes  : src.entries  || {},
+                dependencies : (src.dependencies || []).slice()
+            };
+        }
+
+        // every dependency must refer to a package defined in the manifest.
+        for (var i   = 0, n = names.length; i < n; ++i)
+        {
+            var pkg  = manifest.packages[names[i]];
+            if (pkg === undefined) continue;
+            for (var j = 0, m = pkg.dependencies.length; j < m; ++j)
+            {
+                var dep  = pkg.dependencies[j];
+                if (!Object.prototype.hasOwnProperty.call(data.packages, dep))
+                {
+                    fail(pkg.name, 'Unknown dependency ' + dep);
+                }
+            }
+        }
+        return valid ? manifest : null;
+    }
+
+    /// Determines the set of packages that must be downloaded and extracted
+    /// in order to load one or more packages, including all dependencies.
+    /// @param manifest The manifest returned by parseManifest().
+    /// @param names The name of the package to load, or an array of names.
+    /// @param cache An optional content cache. Packages whose manifest version
+    /// is already present in the cache are not downloaded.
+    /// @param errorFunc An optional function with signature:
+    /// function errorFunc(packageName, message) : void
+    /// invoked if a package is unknown or a dependency cycle is found.
+    /// @return An object describing the load plan, or null. The object has the
+    /// following fields:
+    /// obj.steps An array of package records to download and extract, in
+    /// order, such that each package follows all of its dependencies.
+    /// obj.cached An array of package records already present in the cache.
+    /// obj.downloadSize The total size of the packages in obj.steps, in bytes.
+    function resolveContent(manifest, names, cache, errorFunc)
+    {
+        var VISITING = 1;
+        var VISITED  = 2;
+        var marks    = Object.create(null);
+        var plan     = {
+            steps        : [],
+            cached       : [],
+            downloadSize : 0
+        };
+        var visit    = function (name, parent)
+            {
+                var has  = Object.prototype.hasOwnProperty.call(manifest.packages, name);
+                var pkg  = has ? manifest.packages[name] : undefined;
+                if (pkg === undefined)
+                {
+                    var msg = 'Unknown package required by ' + parent;
+                    if (errorFunc) errorFunc(name, msg);
+                    return false;
+                }
+                if (marks[name] === VISITED)
+                {
+                    return true;
+                }
+                if (marks[name] === VISITING)
+                {
+                    var msg = 'Dependency cycle through ' + parent;
+                    if (errorFunc) errorFunc(name, msg);
+                    return false;
+                }
+                marks[name] = VISITING;
+                for (var i  = 0, n = pkg.dependencies.length; i < n; ++i)
+                {
+                    if (!visit(pkg.dependencies[i], name))
+                        return false;
+                }
+                marks[name] = VISITED;
+                if (cache && contentCacheHas(cache, name, pkg.version))
+                {
+                    plan.cached.push(pkg);
+                }
+                else
+                {
+                    plan.steps.push(pkg);
+                    plan.downloadSize += pkg.size;
+                }
+                return true;
+            };
+
+        if (typeof names === 'string') names = [names];
+        for (var i = 0, n = names.length; i < n; ++i)
+        {
+            if (!visit(names[i], 'the application'))
+                return null;
+        }
+        return plan;
+    }
+
+    /// Computes or updates a CRC-32 checksum (as used by gzip and PNG) over a
+    /// range of bytes.
+    /// @param bytes A Uint8Array containing the data.
+    /// @param start The zero-based index of the first byte to process.
+    /// @param end The zero-based index just past the last byte to process.
+    /// @param crc The checksum of any preceding data, or 0.
+    /// @return The updated checksum, as an unsigned 32-bit integer.
+    function crc32(bytes, start, end, crc)
+    {
+        var table = crc32_table;
+        if (table === null)
+        {
+            // build the lookup table on first use.
+            table = crc32_table = new Int32Array(256);
+            for (var i = 0; i < 256; ++i)
+            {
+                var c = i;
+                for (var k = 0; k < 8; ++k)
+                {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[i] = c;
+            }
+        }
+        crc = ~(crc || 0);
+        for (var i = start; i < end; ++i)
+        {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (~crc) >>> 0;
+    }
+
+    /// Computes or updates an Adler-32 checksum (as used by zlib) over a range
+    /// of bytes.
+    /// @param bytes A Uint8Array containing the data.
+    /// @param start The zero-based index of the first byte to process.
+    /// @param end The zero-based index just past the last byte to process.
+    /// @param adler The checksum of any preceding data, or 1.
+    /// @return The updated checksum, as an unsigned 32-bit integer.
+    function adler32(bytes, start, end, adler)
+    {
+        if (adler === undefined) adler = 1;
+        var a = adler & 0xFFFF;
+        var b = adler >>> 16;
+        while (start < end)
+        {
+            // 5552 is the largest run that cannot overflow before the modulo.
+            var n = Math.min(end - start, 5552);
+            for (var i = start, e = start + n; i < e; ++i)
+            {
+                a += bytes[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+            start += n;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    /// Creates the state for a resumable decompression operation. The entire
+    /// compressed input must be available; decompression is performed in
+    /// steps by calling inflateStep() so that a large package can be spread
+    /// over several frames.
+    /// @param input An ArrayBuffer or Uint8Array containing the compressed
+    /// data.
+    /// @param format One of 'gzip' (RFC 1952), 'zlib' (RFC 1950) or 'raw'
+    /// (RFC 1951). If not specified, the format is detected from the data.
+    /// @return An object representing the decompression state. The error
+    /// field is set to a string describing the problem if the data is
+    /// corrupt.
+    function createInflateState(input, format)
+    {
+        var bytes  = ArrayBuffer.isView(input) ?
+            new Uint8Array(input.buffer, input.byteOffset, input.byteLength) :
+            new Uint8Array(input);
+        var size   = bytes.length * 4;
+        if (format === undefined)
+        {
+            if (bytes[0] === 0x1F && bytes[1] === 0x8B)
+                format = 'gzip';
+            else if ((bytes[0] & 0x0F) === 8 &&
+                    ((bytes[0] << 8) | bytes[1]) % 31 === 0)
+                format = 'zlib';
+            else
+                format = 'raw';
+        }
+        if (format === 'gzip' && bytes.length >= 18)
+        {
+            // use the (modulo 2^32) uncompressed size stored in the trailer
+            // as the initial output buffer size. the trailer is not trusted,
+            // so the size is limited to what the input could expand to.
+            var n  = bytes.length;
+            size   =( bytes[n-4]        | (bytes[n-3] <<  8) |
+                     (bytes[n-2] << 16) | (bytes[n-1] << 24)) >>> 0;
+            size   = Math.min(size, bytes.length * inflate_table.MAX_EXPANSION);
+        }
+        size       = Math.min(size, inflate_table.MAX_INITIAL_OUTPUT);
+        return {
+            input        : bytes,
+            position     : 0,
+            bitBuffer    : 0,
+            bitCount     : 0,
+            format       : format,
+            mode         : inflate_mode.HEADER,
+            finalBlock   : false,
+            storedLength : 0,
+            output       : new Uint8Array(Math.max(size, 1024)),
+            outputSize   : 0,
+            memberStart  : 0,
+            check        : 0,
+            litTable     : new Int32Array(1 << inflate_table.MAX_BITS),
+            litBits      : 0,
+            distTable    : new Int32Array(1 << inflate_table.MAX_BITS),
+            distBits     : 0,
+            lengths      : new Uint8Array(288 + 32),
+            counts       : new Int32Array(inflate_table.MAX_BITS + 1),
+            nextCode     : new Int32Array(inflate_table.MAX_BITS + 1),
+            error        : null
+        };
+    }
+
+    /// Ensures that the bit buffer of an inflate state holds at least @a n
+    /// bits, if that many bits remain in the input.
+    /// @param state The inflate state.
+    /// @param n The number of bits required, at most 16.
+    function inflateNeedBits(state, n)
+    {
+        var input = state.input;
+        while (state.bitCount < n && state.position < input.length)
+        {
+            state.bitBuffer |= input[state.position++] << state.bitCount;
+            state.bitCount  += 8;
+        }
+    }
+
+    /// Reads a value from the bit stream of an inflate state.
+    /// @param state The inflate state.
+    /// @param n The number of bits to read, at most 16.
+    /// @return The value read, or -1 if the input is exhausted.
+    function inflateReadBits(state, n)
+    {
+        inflateNeedBits(state, n);
+        if (state.bitCount < n)
+        {
+            return -1;
+        }
+        var value         = state.bitBuffer & ((1 << n) - 1);
+        state.bitBuffer >>>= n;
+        state.bitCount    -= n;
+        return value;
+    }
+
+    /// Discards any bits remaining in the current byte of the bit stream and
+    /// returns any whole buffered bytes to the input, so that subsequent
+    /// reads can access the input bytes directly.
+    /// @param state The inflate state.
+    function inflateAlignToByte(state)
+    {
+        state.position -= state.bitCount >> 3;
+        state.bitBuffer = 0;
+        state.bitCount  = 0;
+    }
+
+    /// Builds a Huffman decoding table from a set of code lengths. Each table
+    /// entry is indexed by the bit-reversed code (padded to the maximum code
+    /// length) and stores (symbol << 4) | length.
+    /// @param state The inflate state, which supplies scratch storage.
+    /// @param start The index of the first code length in state.lengths.
+    /// @param count The number of symbols.
+    /// @param table The Int32Array to populate.
+    /// @return The maximum code length, or -1 if the code is over-subscribed.
+    function inflateBuildTable(state, start, count, table)
+    {
+        var lengths = state.lengths;
+        var counts  = state.counts;
+        var next    = state.nextCode;
+        var maxBits = 0;
+        var left    = 1;
+        var code    = 0;
+        counts.fill(0);
+        for (var i  = 0; i < count; ++i)
+        {
+            counts[lengths[start + i]]++;
+        }
+        counts[0]   = 0;
+        for (var len = 1; len <= inflate_table.MAX_BITS; ++len)
+        {
+            left    = (left << 1) - counts[len];
+            if (left < 0) return -1;
+            if (counts[len] > 0) maxBits = len;
+            next[len] = code = (code + counts[len - 1]) << 1;
+        }
+        table.fill(0, 0, 1 << maxBits);
+        for (var sym = 0; sym < count; ++sym)
+        {
+            var len = lengths[start + sym];
+            if (len === 0) continue;
+            // reverse the code bits, since codes are packed MSB-first.
+            var c   = next[len]++;
+            var r   = 0;
+            for (var i = 0; i < len; ++i)
+            {
+                r   = (r << 1) | (c & 1);
+                c >>= 1;
+            }
+            for (var i = r, n = 1 << maxBits; i < n; i += (1 << len))
+            {
+                table[i] = (sym << 4) | len;
+            }
+        }
+        return maxBits;
+    }
+
+    /// Decodes a single Huffman-coded symbol from the bit stream.
+    /// @param state The inflate state.
+    /// @param table The decoding table built by inflateBuildTable().
+    /// @param bits The maximum code length of the table.
+    /// @return The decoded symbol, or -1 if the data is invalid.
+    function inflateDecodeSymbol(state, table, bits)
+    {
+        inflateNeedBits(state, bits);
+        var entry = table[state.bitBuffer & ((1 << bits) - 1)];
+        var len   = entry & 15;
+        if (len === 0 || len > state.bitCount)
+        {
+            return -1;
+        }
+        state.bitBuffer >>>= len;
+        state.bitCount    -= len;
+        return entry >> 4;
+    }
+
+    /// Ensures that the output buffer of an inflate state has room for an
+    /// additional @a n bytes, growing the buffer if necessary.
+    /// @param state The inflate state.
+    /// @param n The number of bytes about to be written.
+    function inflateReserve(state, n)
+    {
+        var need = state.outputSize + n;
+        if (need > state.output.length)
+        {
+            var grown = new Uint8Array(Math.max(need, state.output.length * 2));
+            grown.set(state.output.subarray(0, state.outputSize));
+            state.output = grown;
+        }
+    }
+
+    /// Reads the gzip or zlib header at the current input position.
+    /// @param state The inflate state.
+    /// @return An error message, or null if the header is valid.
+    function inflateReadHeader(state)
+    {
+        var input = state.input;
+        var pos   = state.position;
+        var end   = input.length;
+        if (state.format === 'zlib')
+        {
+            if (pos + 2 > end || (input[pos] & 0x0F) !== 8)
+                return 'Invalid zlib header';
+            if (input[pos + 1] & 0x20)
+                return 'zlib preset dictionaries are not supported';
+            state.position = pos + 2;
+            state.check    = 1;
+        }
+        else if (state.format === 'gzip')
+        {
+            if (pos + 10 > end || input[pos] !== 0x1F ||
+                input[pos + 1] !== 0x8B || input[pos + 2] !== 8)
+                return 'Invalid gzip header';
+            var flags = input[pos + 3];
+            pos += 10;
+            if (flags & 0x04) pos += 2 + (input[pos] | (input[pos + 1] << 8));
+            if (flags & 0x08) while (pos < end && input[pos++] !== 0);
+            if (flags & 0x10) while (pos < end && input[pos++] !== 0);
+            if (flags & 0x02) pos += 2;
+            if (pos > end)
+                return 'Truncated gzip header';
+            state.position = pos;
+            state.check    = 0;
+        }
+        return null;
+    }
+
+    /// Reads and validates the gzip or zlib trailer at the current input
+    /// position, once the compressed data for a member has been consumed.
+    /// @param state The inflate state.
+    /// @return An error message, or null if the trailer is valid.
+    function inflateReadTrailer(state)
+    {
+        var input = state.input;
+        var pos   = state.position;
+        var size  = state.outputSize - state.memberStart;
+        inflateAlignToByte(state);
+        if (state.format === 'zlib')
+        {
+            if (state.position + 4 > input.length)
+                return 'Truncated zlib trailer';
+            pos   = state.position;
+            var v = ((input[pos]   << 24) | (input[pos+1] << 16) |
+                     (input[pos+2] <<  8) |  input[pos+3]) >>> 0;
+            state.position += 4;
+            if (v !== state.check)
+                return 'Adler-32 mismatch';
+        }
+        else if (state.format === 'gzip')
+        {
+            if (state.position + 8 > input.length)
+                return 'Truncated gzip trailer';
+            pos   = state.position;
+            var c = ( input[pos]         | (input[pos+1] <<  8) |
+                     (input[pos+2] << 16) | (input[pos+3] << 24)) >>> 0;
+            var n = ( input[pos+4]       | (input[pos+5] <<  8) |
+                     (input[pos+6] << 16) | (input[pos+7] << 24)) >>> 0;
+            state.position += 8;
+            if (c !== state.check)
+                return 'CRC-32 mismatch';
+            if (n !== (size >>> 0))
+                return 'Uncompressed size mismatch';
+        }
+        return null;
+    }
+
+    /// Reads the header of the next deflate block and prepares the state to
+    /// decode the block contents.
+    /// @param state The inflate state.
+    /// @return An error message, or null if the block header is valid.
+    function inflateReadBlockHeader(state)
+    {
+        var header = inflateReadBits(state, 3);
+        var table  = inflate_table;
+        var lens   = state.lengths;
+        if (header < 0)
+        {
+            return 'Unexpected end of data';
+        }
+        state.finalBlock = (header & 1) !== 0;
+        switch (header >> 1)
+        {
+            case 0: // stored block.
+                {
+                    inflateAlignToByte(state);
+                    var input = state.input;
+                    var pos   = state.position;
+                    if (pos + 4 > input.length)
+                        return 'Unexpected end of data';
+                    var len   = input[pos]     | (input[pos + 1] << 8);
+                    var nlen  = input[pos + 2] | (input[pos + 3] << 8);
+                    if (len !== (~nlen & 0xFFFF))
+                        return 'Invalid stored block length';
+                    state.position     = pos + 4;
+                    state.storedLength = len;
+                    state.mode         = inflate_mode.STORED;
+                }
+                return null;
+
+            case 1: // fixed Huffman codes.
+                {
+                    lens.fill(8,   0, 144);
+                    lens.fill(9, 144, 256);
+                    lens.fill(7, 256, 280);
+                    lens.fill(8, 280, 288);
+                    lens.fill(5, 288, 320);
+                    state.litBits  = inflateBuildTable(state,   0, 288, state.litTable);
+                    state.distBits = inflateBuildTable(state, 288,  32, state.distTable);
+                    state.mode     = inflate_mode.CODES;
+                }
+                return null;
+
+            case 2: // dynamic Huffman codes.
+                {
+                    var nlit  = inflateReadBits(state, 5) + 257;
+                    var ndist = inflateReadBits(state, 5) + 1;
+                    var ncode = inflateReadBits(state, 4) + 4;
+                    if (ncode < 4 || nlit < 257 || nlit > 286 || ndist < 1 || ndist > 30)
+                        return 'Invalid dynamic block header';
+                    // read the code length code lengths into the scratch
+                    // area past the literal/length and distance lengths.
+                    var base  = 288;
+                    lens.fill(0, base, base + 19);
+                    for (var i = 0; i < ncode; ++i)
+                    {
+                        var v = inflateReadBits(state, 3);
+                        if (v < 0) return 'Unexpected end of data';
+                        lens[base + table.CODE_LENGTH_ORDER[i]] = v;
+                    }
+                    var bits  = inflateBuildTable(state, base, 19, state.litTable);
+                    if (bits <= 0)
+                        return 'Invalid code length codes';
+                    // decode the literal/length and distance code lengths.
+                    // they are decoded as one sequence, since repeats may
+                    // cross from one set into the other.
+                    var codes = new Uint8Array(nlit + ndist);
+                    var index = 0;
+                    while (index < nlit + ndist)
+                    {
+                        var sym = inflateDecodeSymbol(state, state.litTable, bits);
+                        var rep = 0;
+                        var val = 0;
+                        if (sym < 0)
+                            return 'Invalid code length code';
+                        if (sym < 16)
+                        {
+                            codes[index++] = sym;
+                            continue;
+                        }
+                        if (sym === 16)
+                        {
+                            if (index === 0)
+                                return 'Repeat with no previous length';
+                            val = codes[index - 1];
+                            rep = 3  + inflateReadBits(state, 2);
+                        }
+                        else if (sym === 17) rep = 3  + inflateReadBits(state, 3);
+                        else                 rep = 11 + inflateReadBits(state, 7);
+                        if (index + rep > nlit + ndist)
+                            return 'Too many code lengths';
+                        while (rep-- > 0) codes[index++] = val;
+                    }
+                    if (codes[256] === 0)
+                        return 'Missing end-of-block code';
+                    lens.fill(0);
+                    lens.set(codes.subarray(0, nlit), 0);
+                    lens.set(codes.subarray(nlit),  288);
+                    state.litBits  = inflateBuildTable(state,   0, nlit,  state.litTable);
+                    state.distBits = inflateBuildTable(state, 288, ndist, state.distTable);
+                    if (state.litBits < 0 || state.distBits < 0)
+                        return 'Invalid Huffman code';
+                    state.mode     = inflate_mode.CODES;
+                }
+                return null;
+
+            default:
+                return 'Invalid block type';
+        }
+    }
+
+    /// Decodes the contents of a Huffman-coded block until the end of the
+    /// block is reached or the output budget is exhausted.
+    /// @param state The inflate state.
+    /// @param limit The output size at which decoding should pause.
+    /// @return An error message, or null if decoding succeeded.
+    function inflateDecodeBlock(state, limit)
+    {
+        var table = inflate_table;
+        while (state.outputSize < limit)
+        {
+            var sym = inflateDecodeSymbol(state, state.litTable, state.litBits);
+            if (sym < 0)
+            {
+                return 'Invalid literal/length code';
+            }
+            if (sym < 256)
+            {
+                inflateReserve(state, 1);
+                state.output[state.outputSize++] = sym;
+                continue;
+            }
+            if (sym === 256)
+            {
+                // end of block.
+                state.mode = state.finalBlock ?
+                    inflate_mode.TRAILER : inflate_mode.BLOCK;
+                return null;
+            }
+            sym -= 257;
+            if (sym >= 29)
+            {
+                return 'Invalid length code';
+            }
+            var lext = inflateReadBits(state, table.LENGTH_EXTRA[sym]);
+            var dsym = inflateDecodeSymbol(state, state.distTable, state.distBits);
+            if (lext < 0 || dsym < 0 || dsym >= 30)
+            {
+                return 'Invalid distance code';
+            }
+            var dext = inflateReadBits(state, table.DIST_EXTRA[dsym]);
+            var len  = table.LENGTH_BASE[sym] + lext;
+            var dist = table.DIST_BASE[dsym]  + dext;
+            if (dext < 0 || dist > state.outputSize - state.memberStart)
+            {
+                return 'Invalid distance';
+            }
+            inflateReserve(state, len);
+            var out  = state.output;
+            var dst  = state.outputSize;
+            var src  = dst - dist;
+            for (var i = 0; i < len; ++i)
+            {
+                out[dst + i] = out[src + i];
+            }
+            state.outputSize += len;
+        }
+        return null;
+    }
+
+    /// Runs a single step of a resumable decompression operation.
+    /// @param state The inflate state returned by createInflateState().
+    /// @param budget The approximate number of bytes of output to produce
+    /// before returning. If not specified, decompression runs to completion.
+    /// A budget of less than one byte, including zero, is treated as one byte,
+    /// so that every call makes progress.
+    /// @return true if decompression has finished (successfully, or with the
+    /// error field of @a state set), or false if more steps are required.
+    function inflateStep(state, budget)
+    {
+        if (budget !== undefined && !(budget >= 1))
+        {
+            budget = 1;
+        }
+        var modes = inflate_mode;
+        var start = state.outputSize;
+        var limit = start + (budget !== undefined ? budget : Infinity);
+        var error = null;
+        while (error === null && state.mode !== modes.DONE &&
+               state.outputSize < limit)
+        {
+            switch (state.mode)
+            {
+                case modes.HEADER:
+                    error = inflateReadHeader(state);
+                    state.memberStart = state.outputSize;
+                    state.mode        = modes.BLOCK;
+                    break;
+
+                case modes.BLOCK:
+                    error = inflateReadBlockHeader(state);
+                    break;
+
+                case modes.STORED:
+                    {
+                        var avail = state.input.length - state.position;
+                        var room  = limit - state.outputSize;
+                        var count = Math.min(state.storedLength, avail, room);
+                        var begin = state.position;
+                        if (count === 0 && state.storedLength > 0)
+                        {
+                            error = 'Unexpected end of data';
+                            break;
+                        }
+                        inflateReserve(state, count);
+                        var chunk = state.input.subarray(begin, begin + count);
+                        state.output.set(chunk, state.outputSize);
+                        state.position     += count;
+                        state.outputSize   += count;
+                        state.storedLength -= count;
+                        if (state.storedLength === 0)
+                            state.mode = state.finalBlock ? modes.TRAILER : modes.BLOCK;
+                    }
+                    break;
+
+                case modes.CODES:
+                    error = inflateDecodeBlock(state, limit);
+                    break;
+
+                case modes.TRAILER:
+                    // bring the running checksum up to date first.
+                    inflateUpdateCheck(state, start);
+                    start = state.outputSize;
+                    error = inflateReadTrailer(state);
+                    var input = state.input;
+                    var pos   = state.position;
+                    if (state.format === 'gzip' && pos + 1 < input.length &&
+                        input[pos] === 0x1F && input[pos + 1] === 0x8B)
+                    {
+                        // another gzip member follows.
+                        state.mode = modes.HEADER;
+                    }
+                    else state.mode = modes.DONE;
+                    break;
+            }
+        }
+        inflateUpdateCheck(state, start);
+        if (error !== null)
+        {
+            state.error = error;
+            state.mode  = modes.DONE;
+        }
+        return (state.mode === modes.DONE);
+    }
+
+    /// Updates the running gzip or zlib checksum with newly produced output.
+    /// @param state The inflate state.
+    /// @param start The output offset of the first byte not yet included in
+    /// the checksum.
+    function inflateUpdateCheck(state, start)
+    {
+        if (state.format === 'gzip')
+            state.check = crc32(state.output, start, state.outputSize, state.check);
+        else if (state.format === 'zlib')
+            state.check = adler32(state.output, start, state.outputSize, state.check);
+    }
+
+    /// Retrieves the decompressed data once decompression has finished.
+    /// @param state The inflate state.
+    /// @return A Uint8Array view of the decompressed data, or null if the
+    /// compressed data was invalid.
+    function inflateResult(state)
+    {
+        if (state.error !== null || state.mode !== inflate_mode.DONE)
+        {
+            return null;
+        }
+        return state.output.subarray(0, state.outputSize);
+    }
+
+    /// Decompresses gzip, zlib or raw deflate data in a single call.
+    /// @param input An ArrayBuffer or Uint8Array containing the compressed
+    /// data.
+    /// @param format One of 'gzip', 'zlib' or 'raw'. If not specified, the
+    /// format is detected from the data.
+    /// @return A Uint8Array containing the decompressed data, or null if the
+    /// compressed data is invalid.
+    function inflate(input, format)
+    {
+        var state = createInflateState(input, format);
+        inflateStep(state);
+        return inflateResult(state);
+    }
+
+    /// Reads the table of entries from a content package, which may be either
+    /// a plain tar archive or a gzip-compressed tar archive. To avoid stalling
+    /// the main thread on large compressed packages, use createInflateState()
+    /// and inflateStep() over several frames, and pass the inflateResult() to
+    /// parseTarArchive() instead.
+    /// @param archive An ArrayBuffer or Uint8Array containing the package.
+    /// @return An array of entry objects as returned by parseTarArchive(), or
+    /// null if the package is malformed.
+    function parsePackageArchive(archive)
+    {
+        var bytes = ArrayBuffer.isView(archive) ?
+            new Uint8Array(archive.buffer, archive.byteOffset, archive.byteLength) :
+            new Uint8Array(archive);
+        if (bytes[0] === 0x1F && bytes[1] === 0x8B)
+        {
+            bytes = inflate(bytes, 'gzip');
+            if (bytes === null) return null;
+        }
+        return parseTarArchive(bytes);
+    }
+
+    /// Extracts the lowercase file extension, including the leading period,
+    /// from a path.
+    /// @param path The file path.
+    /// @return The file extension, or an empty string.
+    function pathExtension(path)
+    {
+        var dot   = path.lastIndexOf('.');
+        var slash = path.lastIndexOf('/');
+        return (dot > slash) ? path.substring(dot).toLowerCase() : '';
+    }
+
+    /// Removes the file extension, if any, from a path.
+    /// @param path The file path.
+    /// @return The path without its file extension.
+    function pathWithoutExtension(path)
+    {
+        var ext = pathExtension(path);
+        return path.substring(0, path.length - ext.length);
+    }
+
+    /// Allocates a WebGL resource object, either from an object list supplied
+    /// in the registry context or by calling the constructor directly.
+    /// @param list An optional object list of WebGL resource objects.
+    /// @param ctor The WebGL resource object constructor function.
+    /// @return A new WebGL resource object, or null.
+    function allocateResource(list, ctor)
+    {
+        return list ? objectListAllocate(list) : ctor();
+    }
+
+    /// Releases a WebGL resource object that could not be initialized.
+    /// @param list The object list passed to allocateResource(), if any.
+    /// @param ref The WebGL resource object.
+    function releaseResource(list, ref)
+    {
+        if (list && ref) objectListDelete(list, ref.id);
+    }
+
+    /// Implements the asset loader for JSON documents.
+    /// @param registry The asset registry.
+    /// @param entry The package entry being loaded.
+    /// @param bundle The set of entries being loaded. See loadPackageAssets().
+    /// @param callback The function (error, asset, assetName) : void to call
+    /// when the asset has been loaded.
+    function loadJsonAsset(registry, entry, bundle, callback)
+    {
+        var text = decodeUtf8(entry.data, 0, entry.data.length);
+        callback(null, JSON.parse(text));
+    }
+
+    /// Implements the asset loader for plain text files.
+    /// @param registry The asset registry.
+    /// @param entry The package entry being loaded.
+    /// @param bundle The set of entries being loaded. See loadPackageAssets().
+    /// @param callback The function (error, asset, assetName) : void to call
+    /// when the asset has been loaded.
+    function loadTextAsset(registry, entry, bundle, callback)
+    {
+        callback(null, decodeUtf8(entry.data, 0, entry.data.length));
+    }
+
+    /// Implements the asset loader for vertex shaders. The vertex shader is
+    /// paired with the fragment shader of the same name, and the pair is
+    /// built into a WebGL program object named after the shared base path;
+    /// for example, 'shaders/sprite.vs' and 'shaders/sprite.fs' produce the
+    /// asset 'shaders/sprite'. If the bundle specifies an existing program
+    /// object for the asset, it is rebuilt in place.
+    /// @param registry The asset registry.
+    /// @param entry The package entry being loaded.
+    /// @param bundle The set of entries being loaded. See loadPackageAssets().
+    /// @param callback The function (error, asset, assetName) : void to call
+    /// when the asset has been loaded.
+    function loadVertexShaderAsset(registry, entry, bundle, callback)
+    {
+        var base   = pathWithoutExtension(entry.name);
+        var fs     = bundle.byName[base + '.fs'];
+        var gl     = registry.context.gl;
+        var log    = '';
+        if (fs === undefined)
+        {
+            callback(new Error('No fragment shader found for ' + entry.name));
+            return;
+        }
+        var vsText = decodeUtf8(entry.data, 0, entry.data.length);
+        var fsText = decodeUtf8(fs.data, 0, fs.data.length);
+        var list   = registry.context.programs;
+        var prev   = bundle.assets ? bundle.assets[base] : undefined;
+        var ref    = prev || allocateResource(list, WebGL.programConstructor);
+        var build  = prev ? WebGL.rebuildProgram : WebGL.buildProgram;
+        var errf   = function (ref, stage, source, info)
+            {
+                log    = info;
+            };
+        if (build(ref, gl, vsText, fsText, errf))
+        {
+            callback(null, ref, base);
+        }
+        else
+        {
+            // a failed rebuild leaves the previous program usable.
+            if (!prev) releaseResource(list, ref);
+            callback(new Error('Failed to build ' + base + ': ' + log));
+        }
+    }
+
+    /// Implements the asset loader for fragment shaders. Fragment shaders are
+    /// consumed by the vertex shader loader, so this loader produces no asset
+    /// unless the matching vertex shader is missing. When reloading, where the
+    /// vertex shader is not part of the same load, the program is rebuilt.
+    /// @param registry The asset registry.
+    /// @param entry The package entry being loaded.
+    /// @param bundle The set of entries being loaded. See loadPackageAssets().
+    /// @param callback The function (error, asset, assetName) : void to call
+    /// when the asset has been loaded.
+    function loadFragmentShaderAsset(registry, entry, bundle, callback)
+    {
+        var base = pathWithoutExtension(entry.name);
+        var vs   = bundle.byName[base + '.vs'];
+        if (vs === undefined)
+        {
+            callback(new Error('No vertex shader found for ' + entry.name));
+        }
+        else if (bundle.reload)
+        {
+            loadVertexShaderAsset(registry, vs, bundle, callback);
+        }
+        else callback(null, undefined);
+    }
+
+    /// Implements the asset loader for image files. The image is decoded by
+    /// the browser and uploaded to a new WebGL texture object.
+    /// @param registry The asset registry.
+    /// @param entry The package entry being loaded.
+    /// @param bundle The set of entries being loaded. See loadPackageAssets().
+    /// @param callback The function (error, asset, assetName) : void to call
+    /// when the asset has been loaded.
+    function loadImageAsset(registry, entry, bundle, callback)
+    {
+        var context = registry.context;
+        var type    = registry.mimeTypes[pathExtension(entry.name)];
+        var blob    = new Blob([entry.data], { type : type });
+        var url     = URL.createObjectURL(blob);
+        var image   = new Image();
+        image.onload  = function ()
+            {
+                var w    = image.width;
+                var h    = image.height;
+                var opts = context.textureOptions || {};
+                var list = context.textures;
+                var ref  = allocateResource(list, WebGL.textureConstructor);
+                var args = {
+                    type       : defaultValue(opts.type,      'COLOR'),
+                    target     : 'TEXTURE_2D',
+                    format     : defaultValue(opts.format,    'RGBA'),
+                    dataType   : 'UNSIGNED_BYTE',
+                    wrapS      : defaultValue(opts.wrapS,     'CLAMP_TO_EDGE'),
+                    wrapT      : defaultValue(opts.wrapT,     'CLAMP_TO_EDGE'),
+                    magFilter  : defaultValue(opts.magFilter, 'LINEAR'),
+                    minFilter  : defaultValue(opts.minFilter, 'LINEAR'),
+                    hasMipmaps : false,
+                    levels     : [{
+                        width      : w,
+                        height     : h,
+                        byteSize   : w * h * 4,
+                        byteOffset : 0
+                    }]
+                };
+                URL.revokeObjectURL(url);
+                if (WebGL.createTexture(ref, context.gl, args))
+                {
+                    WebGL.uploadTextureDOM(ref, image);
+                    callback(null, ref);
+                }
+                else
+                {
+                    releaseResource(list, ref);
+                    callback(new Error('Failed to create texture ' + entry.name));
+                }
+            };
+        image.onerror = function ()
+            {
+                URL.revokeObjectURL(url);
+                callback(new Error('Failed to decode image ' + entry.name));
+            };
+        image.src   = url;
+    }
+
+    /// Creates a new asset registry, which maps file extensions and MIME types
+    /// to the loader functions used to decode package entries into assets.
+    /// Loaders for JSON (.json), text (.txt), shader (.vs/.fs) and image
+    /// (.png, .jpg, .jpeg, .gif, .webp) files are registered by default.
+    /// @param context An object passed to loaders through the context field
+    /// of the registry. The default loaders use the following fields:
+    /// context.gl The WebGLRenderingContext used to create resources.
+    /// context.programs An optional object list from which WebGL program
+    /// objects are allocated. See WebGL.programConstructor().
+    /// context.textures An optional object list from which WebGL texture
+    /// objects are allocated. See WebGL.textureConstructor().
+    /// context.textureOptions An optional object specifying the type, format,
+    /// wrapS, wrapT, magFilter and minFilter of image textures.
+    /// @return A new asset registry. The registry is an Emitter, and raises
+    /// 'asset:loaded' and 'asset:error' events.
+    function createAssetRegistry(context)
+    {
+        var registry   = make_emitter({
+            context    : context || {},
+            loaders    : {}, /* extension or MIME type => loader */
+            mimeTypes  : {
+                '.json'  : 'application/json',
+                '.txt'   : 'text/plain',
+                '.vs'    : 'x-shader/x-vertex',
+                '.fs'    : 'x-shader/x-fragment',
+                '.png'   : 'image/png',
+                '.jpg'   : 'image/jpeg',
+                '.jpeg'  : 'image/jpeg',
+                '.gif'   : 'image/gif',
+                '.webp'  : 'image/webp'
+            }
+        });
+        registerAssetLoader(registry, 'application/json',    loadJsonAsset);
+        registerAssetLoader(registry, 'text/plain',          loadTextAsset);
+        registerAssetLoader(registry, 'x-shader/x-vertex',   loadVertexShaderAsset);
+        registerAssetLoader(registry, 'x-shader/x-fragment', loadFragmentShaderAsset);
+        registerAssetLoader(registry, [
+            'image/png', 'image/jpeg', 'image/gif', 'image/webp'
+        ], loadImageAsset);
+        return registry;
+    }
+
+    /// Registers a loader function for one or more file extensions or MIME
+    /// types, replacing any loader previously registered for the same key.
+    /// A loader registered for a file extension takes precedence over one
+    /// registered for the MIME type of that extension.
+    /// @param registry The asset registry.
+    /// @param keys A file extension including the leading period (e.g. '.json')
+    /// or a MIME type (e.g. 'application/json'), or an array of these.
+    /// @param loader A function with signature:
+    /// function loader(registry, entry, bundle, callback) : void
+    /// where entry is the package entry to load, bundle is the set of entries
+    /// being loaded together (see loadPackageAssets()) and callback is a
+    /// function (error, asset, assetName) : void to call when done. The asset
+    /// name defaults to the entry name; an asset of undefined is not stored.
+    function registerAssetLoader(registry, keys, loader)
+    {
+        if (typeof keys === 'string') keys = [keys];
+        for (var i = 0, n = keys.length; i < n; ++i)
+        {
+            registry.loaders[keys[i].toLowerCase()] = loader;
+        }
+    }
+
+    /// Finds the loader function used for a given package entry.
+    /// @param registry The asset registry.
+    /// @param name The path of the package entry.
+    /// @return The loader function, or null if no loader is registered for the
+    /// entry's file extension or MIME type.
+    function assetRegistryFindLoader(registry, name)
+    {
+        var ext    = pathExtension(name);
+        var mime   = registry.mimeTypes[ext];
+        var loader = registry.loaders[ext];
+        if (loader === undefined && mime !== undefined)
+        {
+            loader = registry.loaders[mime];
+        }
+        return loader || null;
+    }
+
+    /// Decodes all of the file entries of a package using the loaders in an
+    /// asset registry. Entries without a registered loader are skipped. Each
+    /// asset raises either 'asset:loaded' (registry, name, asset) or
+    /// 'asset:error' (registry, name, error) on the registry.
+    /// @param registry The asset registry.
+    /// @param entries An array of package entries, as returned by the
+    /// parseTarArchive() function.
+    /// @param callback A function (error, assets) : void invoked once every
+    /// asset has either loaded or failed. The assets object maps asset name to
+    /// decoded asset. If any asset failed to load, @a error is an Error whose
+    /// failures field lists the names of the failed entries, and whose errors
+    /// field lists the corresponding Error objects.
+    function loadPackageAssets(registry, entries, callback)
+    {
+        var bundle   = {
+            entries  : entries,
+            byName   : {},
+            assets   : null,
+            reload   : false
+        };
+        for (var i = 0, n = entries.length; i < n; ++i)
+        {
+            bundle.byName[entries[i].name] = entries[i];
+        }
+        loadAssetBundle(registry, bundle, callback);
+    }
+
+    /// Runs the registered loaders for each file entry in a bundle.
+    /// @param registry The asset registry.
+    /// @param bundle An object describing the set of entries being loaded.
+    /// bundle.entries The array of package entries to load.
+    /// bundle.byName An object mapping entry name to package entry for every
+    /// entry available to the loaders, which may include entries not being
+    /// loaded, such as the other half of a shader pair.
+    /// bundle.assets An optional object mapping asset name to the existing
+    /// asset, which loaders may update in place, or null.
+    /// bundle.reload true if the entries are being reloaded.
+    /// @param callback A function (error, assets) : void. See the function
+    /// loadPackageAssets().
+    function loadAssetBundle(registry, bundle, callback)
+    {
+        var entries  = bundle.entries;
+        var assets   = {};
+        var failures = [];
+        var errors   = [];
+        var pending  = 1; // released once all loaders have been started.
+        var finish   = function ()
+            {
+                if (--pending > 0) return;
+                var error = null;
+                if (failures.length > 0)
+                {
+                    var msg = failures.length + ' asset(s) failed to load';
+                    error   = new Error(msg);
+                    error.failures = failures;
+                    error.errors   = errors;
+                }
+                callback(error, assets);
+            };
+        var start    = function (entry, loader)
+            {
+                var done = false;
+                var sync = true;
+                var args = null;
+                var func = function (error, asset, assetName)
+                    {
+                        if (done) return;
+                        done = true;
+                        if (sync)
+                        {
+                            // completed synchronously; report it once the
+                            // loader has returned, outside of the try block.
+                            args = arguments;
+                            return;
+                        }
+                        complete(error, asset, assetName);
+                    };
+                var complete = function (error, asset, assetName)
+                    {
+                        var name = assetName || entry.name;
+                        if (error)
+                        {
+                            failures.push(entry.name);
+                            errors.push(error);
+                            registry.emit('asset:error', registry, entry.name, error);
+                        }
+                        else if (asset !== undefined)
+                        {
+                            assets[name] = asset;
+                            registry.emit('asset:loaded', registry, name, asset);
+                        }
+                        finish();
+                    };
+                pending++;
+                try
+                {
+                    loader(registry, entry, bundle, func);
+                }
+                catch (e)
+                {
+                    func(e);
+                }
+                sync = false;
+                if (args !== null)
+                {
+                    complete(args[0], args[1], args[2]);
+                }
+            };
+
+        for (var i = 0, n = entries.length; i < n; ++i)
+        {
+            var entry  = entries[i];
+            var loader = assetRegistryFindLoader(registry, entry.name);
+            if (entry.type !== tar_entry_type.FILE &&
+                entry.type !== tar_entry_type.CONTIGUOUS_FILE)
+                continue;
+            if (loader !== null) start(entry, loader);
+        }
+        finish();
+    }
+
+    /// Formats an unsigned 32-bit integer as eight hexadecimal digits.
+    /// @param value The value to format.
+    /// @return A string of eight lowercase hexadecimal digits.
+    function hex32(value)
+    {
+        return ('00000000' + (value >>> 0).toString(16)).slice(-8);
+    }
+
+    /// Processes a single 64-byte block of SHA-256 input.
+    /// @param h An Int32Array of 8 elements storing the hash state.
+    /// @param w An Int32Array of 64 elements used as the message schedule.
+    /// @param bytes A Uint8Array containing the block.
+    /// @param offset The byte offset of the block within @a bytes.
+    function sha256Block(h, w, bytes, offset)
+    {
+        var k = sha256_k;
+        for (var i = 0; i < 16; ++i, offset += 4)
+        {
+            w[i] = (bytes[offset]     << 24) | (bytes[offset + 1] << 16) |
+                   (bytes[offset + 2] <<  8) |  bytes[offset + 3];
+        }
+        for (var i = 16; i < 64; ++i)
+        {
+            var x  = w[i - 15];
+            var y  = w[i -  2];
+            var s0 = ((x >>> 7)  | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+            var s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+            w[i]   = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+        var a = h[0], b = h[1], c = h[2], d = h[3];
+        var e = h[4], f = h[5], g = h[6], j = h[7];
+        for (var i = 0; i < 64; ++i)
+        {
+            var S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            var ch = (e & f) ^ (~e & g);
+            var t1 = (j + S1 + ch + k[i] + w[i]) | 0;
+            var S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            var mj = (a & b) ^ (a & c) ^ (b & c);
+            var t2 = (S0 + mj) | 0;
+            j = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+        h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0;
+        h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0;
+        h[6] = (h[6] + g) | 0; h[7] = (h[7] + j) | 0;
+    }
+
+    /// Computes the SHA-256 digest of a range of bytes.
+    /// @param bytes A Uint8Array containing the data.
+    /// @param start The zero-based index of the first byte to process. If not
+    /// specified, the default is zero.
+    /// @param end The zero-based index just past the last byte to process. If
+    /// not specified, the default is the length of @a bytes.
+    /// @return The digest, as a string of 64 lowercase hexadecimal digits.
+    function sha256(bytes, start, end)
+    {
+        var h      = new Int32Array([
+            0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A,
+            0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+        ]);
+        var w      = new Int32Array(64);
+        var tail   = new Uint8Array(128);
+        start      = start || 0;
+        end        = (end !== undefined) ? end : bytes.length;
+        var length = end - start;
+        var offset = start;
+        while (offset + 64 <= end)
+        {
+            sha256Block(h, w, bytes, offset);
+            offset += 64;
+        }
+
+        // pad the final block(s) with a single 1 bit, zeroes and the 64-bit
+        // big-endian message length in bits.
+        var rest   = end - offset;
+        var size   = (rest < 56) ? 64 : 128;
+        var hi     = Math.floor(length / 0x20000000);
+        var lo     = (length << 3) >>> 0;
+        tail.set(bytes.subarray(offset, end));
+        tail[rest] = 0x80;
+        tail[size - 8] = hi >>> 24; tail[size - 7] = hi >>> 16;
+        tail[size - 6] = hi >>>  8; tail[size - 5] = hi;
+        tail[size - 4] = lo >>> 24; tail[size - 3] = lo >>> 16;
+        tail[size - 2] = lo >>>  8; tail[size - 1] = lo;
+        for (var i = 0; i < size; i += 64)
+        {
+            sha256Block(h, w, tail, i);
+        }
+        var digest = '';
+        for (var i = 0; i < 8; ++i)
+        {
+            digest += hex32(h[i]);
+        }
+        return digest;
+    }
+
+    /// Computes a hash of a block of data in the form used by content
+    /// manifests, which is '<algorithm>:<lowercase hex digest>'.
+    /// @param data A Uint8Array or ArrayBuffer containing the data.
+    /// @param algorithm Either 'sha256' or 'crc32'.
+    /// @return The hash string, or null if @a algorithm is not supported.
+    function computeHash(data, algorithm)
+    {
+        var bytes = ArrayBuffer.isView(data) ?
+            new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+            new Uint8Array(data);
+        switch (algorithm)
+        {
+            case 'sha256':
+                return 'sha256:' + sha256(bytes, 0, bytes.length);
+            case 'crc32':
+                return 'crc32:'  + hex32(crc32(bytes, 0, bytes.length));
+            default:
+                return null;
+        }
+    }
+
+    /// Computes the hash of a block of data using the algorithm named by an
+    /// expected hash string.
+    /// @param data A Uint8Array or ArrayBuffer containing the data.
+    /// @param expected The expected hash, in the form '<algorithm>:<digest>'.
+    /// @return The actual hash string, or null if the algorithm named by
+    /// @a expected is not supported.
+    function computeHashLike(data, expected)
+    {
+        var colon = expected.indexOf(':');
+        return computeHash(data, expected.substring(0, colon).toLowerCase());
+    }
+
+    /// Verifies a block of data against an expected hash.
+    /// @param data A Uint8Array or ArrayBuffer containing the data.
+    /// @param expected The expected hash, in the form '<algorithm>:<digest>',
+    /// where algorithm is either 'sha256' or 'crc32'. If null or undefined,
+    /// no verification is performed.
+    /// @return true if the data matches @a expected, or if @a expected is not
+    /// specified. Unsupported algorithms never match.
+    function verifyHash(data, expected)
+    {
+        if (!expected) return true;
+        return computeHashLike(data, expected) === expected.toLowerCase();
+    }
+
+    /// Verifies a downloaded package against the hashes listed in its manifest
+    /// record, for the whole archive and, optionally, for individual entries.
+    /// Each mismatch raises an 'integrity:error' event whose single argument
+    /// is an object with name, version, entry (null for the whole archive),
+    /// expected, actual and source ('download') fields.
+    /// @param pkg The package record from the manifest. See parseManifest().
+    /// @param archive An ArrayBuffer or Uint8Array containing the archive as
+    /// downloaded, before decompression.
+    /// @param entries An optional array of entries extracted from the archive.
+    /// If specified, entries listed in the entryHashes field of @a pkg are
+    /// verified.
+    /// @param emitter The Emitter used to raise events. Defaults to the
+    /// Bitstorm object.
+    /// @return true if the package passed all checks.
+    function verifyPackage(pkg, archive, entries, emitter)
+    {
+        var valid  = true;
+        var hashes = pkg.entryHashes || {};
+        var found  = {};
+        var report = function (entry, expected, actual)
+            {
+                valid  = false;
+                (emitter || exports).emit('integrity:error', {
+                    name     : pkg.name,
+                    version  : pkg.version,
+                    entry    : entry,
+                    expected : expected,
+                    actual   : actual,
+                    source   : 'download'
+                });
+            };
+        if (pkg.hash && !verifyHash(archive, pkg.hash))
+        {
+            report(null, pkg.hash, computeHashLike(archive, pkg.hash));
+            return false;
+        }
+        for (var i = 0, n = entries ? entries.length : 0; i < n; ++i)
+        {
+            var entry  = entries[i];
+            var hash   = hashes[entry.name];
+            found[entry.name] = true;
+            if (hash && !verifyHash(entry.data, hash))
+            {
+                report(entry.name, hash, computeHashLike(entry.data, hash));
+            }
+        }
+        if (entries)
+        {
+            // entries listed in the manifest must be present in the archive.
+            var names  = Object.keys(hashes);
+            for (var i = 0, n = names.length; i < n; ++i)
+            {
+                if (!found[names[i]]) report(names[i], hashes[names[i]], null);
+            }
+        }
+        return valid;
+    }
+
+    /// Finds the metadata for a single entry within a cached package record.
+    /// @param record The package record.
+    /// @param entryName The path of the entry within the package.
+    /// @return The entry metadata, or undefined.
+    function contentCacheFindEntry(record, entryName)
+    {
+        for (var i = 0, n = record.entries.length; i < n; ++i)
+        {
+            if (record.entries[i].name === entryName)
+                return record.entries[i];
+        }
+        return undefined;
+    }
+
+    /// Reports a corrupt cached package and evicts it from the cache. The
+    /// cache raises an 'integrity:error' event whose single argument is an
+    /// object with name, version, entry, expected, actual and source ('cache')
+    /// fields.
+    /// @param cache The content cache.
+    /// @param record The package record of the corrupt package.
+    /// @param bad An object with entry, expected and actual fields specifying
+    /// the path of the corrupt entry and its expected and actual hashes.
+    /// @param callback A function (error) : void invoked once the package has
+    /// been evicted. @a error describes the corruption.
+    function contentCacheEvictCorrupt(cache, record, bad, callback)
+    {
+        var msg = 'Cached entry '+bad.entry+' of '+record.name+' is corrupt.';
+        cache.emit('integrity:error', {
+            name     : record.name,
+            version  : record.version,
+            entry    : bad.entry,
+            expected : bad.expected,
+            actual   : bad.actual,
+            source   : 'cache'
+        });
+        contentCacheDelete(cache, record.name, function (error)
+            {
+                callback(new Error(msg));
+            });
+    }
+
+    /// Verifies every entry of a cached package against the checksums recorded
+    /// when the package was committed and, optionally, against the entry
+    /// hashes listed in the package manifest. If any entry is corrupt, the
+    /// package is evicted from the cache.
+    /// @param cache The content cache.
+    /// @param pkg The package record from the manifest. See parseManifest().
+    /// @param callback A function (error, valid) : void invoked when all
+    /// entries have been checked. @a valid is true if the package is cached
+    /// and intact.
+    function contentCacheVerify(cache, pkg, callback)
+    {
+        var record = cache.packages[pkg.name];
+        if (record === undefined || record.version !== pkg.version)
+        {
+            callback(null, false);
+            return;
+        }
+        var store  = content_cache;
+        var hashes = pkg.entryHashes || {};
+        var tx     = cache.database.transaction(store.ENTRY_STORE, 'readonly');
+        var es     = tx.objectStore(store.ENTRY_STORE);
+        var bad    = null;
+        var check  = function (meta, request)
+            {
+                request.onsuccess = function (e)
+                    {
+                        var data = request.result;
+                        var hash = hashes[meta.name];
+                        var crc  = null;
+                        if (bad !== null) return;
+                        if (data !== undefined && meta.crc !== undefined)
+                        {
+                            crc  = computeHash(data, 'crc32');
+                        }
+                        if (data === undefined || crc !== null && crc !== meta.crc)
+                        {
+                            bad  = { entry : meta.name, expected : meta.crc, actual : crc };
+                        }
+                        else if (hash && !verifyHash(data, hash))
+                        {
+                            bad  = {
+                                entry    : meta.name,
+                                expected : hash,
+                                actual   : computeHashLike(data, hash)
+                            };
+                        }
+                    };
+            };
+        for (var i = 0, n = record.entries.length; i < n; ++i)
+        {
+            var meta   = record.entries[i];
+            if (meta.crc === undefined && !hashes[meta.name]) continue;
+            var key    = contentCacheKey(record.name, record.version, meta.name);
+            check(meta, es.get(key));
+        }
+        tx.oncomplete = function (e)
+            {
+                if (bad === null)
+                {
+                    callback(null, true);
+                    return;
+                }
+                contentCacheEvictCorrupt(cache, record, bad, function ()
+                    {
+                        callback(null, false);
+                    });
+            };
+        tx.onabort = function (e)
+            {
+                callback(tx.error, false);
+            };
+    }
+
+    /// Creates a streaming tar archive reader. Archive data is supplied in
+    /// chunks of any size using tarStreamPush(), and each entry is reported
+    /// as soon as all of its data has arrived, so that content can be decoded
+    /// while the rest of a package is still downloading. The reader raises:
+    /// 'entry' (stream, entry) for each entry, with the fields described by
+    /// parseTarArchive(). The entry data is copied into a new Uint8Array.
+    /// 'end' (stream) when the end of the archive has been reached.
+    /// 'error' (stream, error) if the archive is malformed or truncated.
+    /// @return A new tar stream object, which is an Emitter.
+    function createTarStream()
+    {
+        return make_emitter({
+            state      : createTarReaderState(),
+            header     : new Uint8Array(tar.BLOCK_SIZE),
+            fill       : 0,    /* bytes of header or data received       */
+            entry      : null, /* the entry whose data is being received */
+            data       : null, /* the data buffer for the current entry  */
+            skip       : 0,    /* padding bytes remaining after the data */
+            position   : 0,    /* total number of bytes consumed         */
+            finished   : false,
+            error      : null
+        });
+    }
+
+    /// Stops a tar stream after a problem has been found, and raises 'error'.
+    /// @param stream The tar stream.
+    /// @param message A string describing the problem.
+    function tarStreamFail(stream, message)
+    {
+        stream.finished = true;
+        stream.error    = new Error(message);
+        stream.emit('error', stream, stream.error);
+    }
+
+    /// Completes the entry currently being received by a tar stream.
+    /// @param stream The tar stream.
+    function tarStreamEndEntry(stream)
+    {
+        var entry      = tarEndEntry(stream.state, stream.entry, stream.data);
+        var size       = stream.entry.size;
+        var block      = tar.BLOCK_SIZE;
+        stream.entry   = null;
+        stream.data    = null;
+        stream.fill    = 0;
+        stream.skip    = Math.ceil(size / block) * block - size;
+        if (entry === undefined)
+        {
+            tarStreamFail(stream, 'Malformed extended header');
+            return;
+        }
+        if (entry !== null) stream.emit('entry', stream, entry);
+    }
+
+    /// Processes a complete header block received by a tar stream.
+    /// @param stream The tar stream.
+    function tarStreamReadHeader(stream)
+    {
+        stream.fill    = 0;
+        if (tarIsZeroBlock(stream.header, 0))
+        {
+            // end-of-archive marker. any data that follows is ignored.
+            stream.finished = true;
+            stream.emit('end', stream);
+            return;
+        }
+        var header     = tarReadHeader(stream.header, 0);
+        if (header === null)
+        {
+            var offset = stream.position - tar.BLOCK_SIZE;
+            tarStreamFail(stream, 'Corrupt header at offset ' + offset);
+            return;
+        }
+        var entry      = tarBeginEntry(stream.state, header);
+        var size       = entry.size;
+        if (!(size >= 0 && size <= tar.MAX_STREAM_ENTRY_SIZE) ||
+            Math.floor(size) !== size)
+        {
+            tarStreamFail(stream, 'Invalid size for entry '+entry.name);
+            return;
+        }
+        try
+        {
+            stream.data = new Uint8Array(size);
+        }
+        catch (e)
+        {
+            tarStreamFail(stream, 'Cannot buffer entry '+entry.name+': '+e.message);
+            return;
+        }
+        entry.offset   = stream.position;
+        stream.entry   = entry;
+        if (entry.size === 0) tarStreamEndEntry(stream);
+    }
+
+    /// Supplies the next chunk of archive data to a tar stream. Any entries
+    /// completed by the chunk are reported before the function returns.
+    /// @param stream The tar stream returned by createTarStream().
+    /// @param chunk An ArrayBuffer or Uint8Array containing the data.
+    /// @return true if the stream can accept more data, or false if the end of
+    /// the archive has been reached or an error has occurred.
+    function tarStreamPush(stream, chunk)
+    {
+        var bytes = ArrayBuffer.isView(chunk) ?
+            new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength) :
+            new Uint8Array(chunk);
+        var block = tar.BLOCK_SIZE;
+        var i     = 0;
+        var n     = bytes.length;
+        while (i  < n && !stream.finished)
+        {
+            var count = 0;
+            if (stream.skip > 0)
+            {
+                // skip the padding after the previous entry's data.
+                count        = Math.min(stream.skip, n - i);
+                stream.skip -= count;
+            }
+            else if (stream.entry !== null)
+            {
+                // receive data for the current entry.
+                count        = Math.min(stream.data.length - stream.fill, n - i);
+                stream.data.set(bytes.subarray(i, i + count), stream.fill);
+                stream.fill += count;
+            }
+            else
+            {
+                // receive the next header block.
+                count        = Math.min(block - stream.fill, n - i);
+                stream.header.set(bytes.subarray(i, i + count), stream.fill);
+                stream.fill += count;
+            }
+            i               += count;
+            stream.position += count;
+            if (stream.entry === null && stream.fill === block)
+            {
+                tarStreamReadHeader(stream);
+            }
+            else if (stream.entry !== null && stream.fill === stream.data.length)
+            {
+                tarStreamEndEntry(stream);
+            }
+        }
+        return !stream.finished;
+    }
+
+    /// Indicates that no more data will be supplied to a tar stream. If the
+    /// archive ended partway through a header or an entry, 'error' is raised;
+    /// otherwise 'end' is raised if it has not been raised already.
+    /// @param stream The tar stream.
+    function tarStreamEnd(stream)
+    {
+        if (stream.finished)
+        {
+            return;
+        }
+        if (stream.entry !== null || stream.fill > 0 || stream.skip > 0)
+        {
+            tarStreamFail(stream, 'The archive is truncated');
+            return;
+        }
+        // archives missing the end-of-archive marker are accepted.
+        stream.finished = true;
+        stream.emit('end', stream);
     }
 
-    /// Creates a new state machine object.
-    /// @param stateCount The number of states to be defined.
-    /// @param defaultStateId The identifier (not the implementation) of the
-    /// default state.
-    /// @return An object representing the current state data associated with a
-    /// state machine implementation.
-    function createStateMachine(stateCount, defaultStateId)
+    /// The default factory function used to create WebSocket connections.
+    /// @param url The URL of the WebSocket endpoint.
+    /// @return A new WebSocket instance.
+    function defaultSocketFactory(url)
     {
-        return {
-            currentState : null,
-            defaultState : defaultStateId,
-            eventCount   : 0,
-            eventQueue   : new Array(16),
-            states       : new Array(stateCount)
-        };
+        return new WebSocket(url);
     }
 
-    /// Creates a new state implementation and registers it with a state
-    /// machine instance. Set the enter, leave, update and processEvent fields
-    /// to user-defined functions as desired.
-    /// @param stateMachine The state machine object data.
-    /// @param stateId The identifier of the state implementation to create.
-    /// @return An object representing the new state implementation.
-    function createState(stateMachine, stateId)
+    /// Creates a development-mode client that reloads content as it changes on
+    /// disk. The client connects to a development server (see the script
+    /// tools/devserver.js) which sends a JSON message for each changed file:
+    /// { "type" : "change", "package" : "core", "entry" : "shaders/sprite.fs",
+    ///   "url" : "core/shaders/sprite.fs" }
+    /// For each message the client downloads the entry, invalidates the cached
+    /// copy of its package and re-runs the registered asset loader. Shader
+    /// programs are rebuilt into the existing program object, so references
+    /// held by the application remain valid. The client raises:
+    /// 'reload:connected' (client) when the connection is established.
+    /// 'reload:disconnected' (client) when the connection is lost.
+    /// 'reload:asset' (client, name, asset, previous) when an asset has been
+    /// reloaded. The previous asset is the same object as @a asset if it was
+    /// updated in place; otherwise the application should release it.
+    /// 'reload:error' (client, name, error) when an entry fails to reload.
+    /// @param registry The asset registry used to load the entries.
+    /// @param options An optional object specifying client attributes.
+    /// @param options.url The URL of the development server's WebSocket
+    /// endpoint. Defaults to hot_reload.DEFAULT_URL.
+    /// @param options.baseUrl The URL against which entry URLs are resolved.
+    /// @param options.assets The object mapping asset name to asset, as
+    /// returned by loadPackageAssets(). Reloaded assets are stored here.
+    /// @param options.entries The array of package entries that were loaded.
+    /// Entries are needed to rebuild assets made from several files.
+    /// @param options.cache An optional content cache to invalidate.
+    /// @param options.createSocket A function (url) : WebSocket used to create
+    /// the connection. Supply a stand-in for headless testing.
+    /// @param options.createRequest, options.setTimeout, options.clearTimeout
+    /// See createDownloader().
+    /// @return A new hot-reload client. Call hotReloadConnect() to start it.
+    function createHotReloadClient(registry, options)
     {
-        var state = {
-            id            : stateId,
-            stateMachine  : stateMachine,
-            enter         : defaultStateEnter,
-            leave         : defaultStateLeave,
-            update        : defaultStateUpdate,
-            processEvent  : defaultStateProcessEvent
-        };
-        // register the state within the state machine:
-        stateMachine.states[stateId] = state;
-        return state;
+        options          = options || {};
+        var entries      = options.entries || [];
+        var client       = make_emitter({
+            registry     : registry,
+            url          : options.url     || hot_reload.DEFAULT_URL,
+            baseUrl      : options.baseUrl || '',
+            assets       : options.assets  || {},
+            byName       : {},   /* entry name => package entry */
+            cache        : options.cache   || null,
+            createSocket : options.createSocket || defaultSocketFactory,
+            setTimeout   : options.setTimeout   || window.setTimeout.bind(window),
+            clearTimeout : options.clearTimeout || window.clearTimeout.bind(window),
+            downloader   : null,
+            socket       : null,
+            timer        : null,
+            closed       : true
+        });
+        client.downloader = createDownloader({
+            emitter       : client,
+            createRequest : options.createRequest,
+            setTimeout    : client.setTimeout,
+            clearTimeout  : client.clearTimeout
+        });
+        for (var i = 0, n = entries.length; i < n; ++i)
+        {
+            client.byName[entries[i].name] = entries[i];
+        }
+        client.on('download:complete', function (request, data)
+            {
+                var change = request.userData;
+                hotReloadEntry(client, change.package, change.entry, data);
+            });
+        client.on('download:error', function (request, error)
+            {
+                client.emit('reload:error', client, request.userData.entry, error);
+            });
+        return client;
     }
 
-    /// Posts an event (input) to a state machine. Events can trigger state
-    /// changes and are passed to the current state during the state machine
-    /// update tick.
-    /// @param stateMachine The state machine instance.
-    /// @param ev An object representing the event to post.
-    function stateMachinePostEvent(stateMachine, ev)
+    /// Opens the connection to the development server. If the connection is
+    /// lost, the client reconnects until hotReloadClose() is called. Any
+    /// existing connection is closed first.
+    /// @param client The hot-reload client.
+    function hotReloadConnect(client)
     {
-        stateMachine.eventQueue[stateMachine.eventCount++] = ev;
+        var previous     = client.socket;
+        if (client.timer !== null)
+        {
+            client.clearTimeout(client.timer);
+            client.timer  = null;
+        }
+        if (previous)
+        {
+            // detach the old socket first so that it does not reconnect.
+            client.socket = null;
+            previous.close();
+        }
+        var socket       = client.createSocket(client.url);
+        client.socket    = socket;
+        client.closed    = false;
+        socket.onopen    = function (e)
+            {
+                client.emit('reload:connected', client);
+            };
+        socket.onmessage = function (e)
+            {
+                if (client.socket !== socket) return;
+                hotReloadHandleMessage(client, e.data);
+            };
+        socket.onclose   = function (e)
+            {
+                if (client.socket !== socket) return;
+                client.socket = null;
+                client.emit('reload:disconnected', client);
+                if (client.closed) return;
+                client.timer  = client.setTimeout(function ()
+                    {
+                        client.timer = null;
+                        if (!client.closed) hotReloadConnect(client);
+                    }, hot_reload.RECONNECT_DELAY);
+            };
     }
 
-    /// Clears the event queue associated with a state machine instance.
-    /// @param stateMachine The state machine instance.
-    function stateMachineFlushQueue(stateMachine)
+    /// Closes the connection to the development server and cancels any
+    /// pending downloads.
+    /// @param client The hot-reload client.
+    function hotReloadClose(client)
     {
-        for (var i = 0; i < stateMachine.eventQueue.length; ++i)
+        var socket    = client.socket;
+        client.closed = true;
+        client.socket = null;
+        if (client.timer !== null)
         {
-            // null the data so it can be garbage collected.
-            stateMachine.eventQueue[i] = null;
+            client.clearTimeout(client.timer);
+            client.timer = null;
         }
-        stateMachine.eventCount = 0;
+        downloaderCancelAll(client.downloader);
+        if (socket) socket.close();
     }
 
-    /// Implements the update loop for a generic finite state machine.
-    /// @param stateMachine The state machine instance to update.
-    /// @param elapsedTime The elapsed time since the last tick, in seconds.
-    /// @param currentTime The current absolute time value, in seconds.
-    function stateMachineUpdate(stateMachine, elapsedTime, currentTime)
+    /// Processes a message received from the development server.
+    /// @param client The hot-reload client.
+    /// @param text The message text.
+    function hotReloadHandleMessage(client, text)
     {
-        var states      = stateMachine.states;
-        var eventIndex  = 0;
-        var keepRunning = true;
-
-        // enter the default state if necessary.
-        if (stateMachine.currentState === null)
+        var message = null;
+        try
         {
-            var def = states[stateMachine.defaultState];
-            stateMachine.currentState   = def.id;
-            def.enter(stateMachine,  def, def.id, def.id);
+            message = JSON.parse(text);
         }
-
-        // enter the state machine update loop.
-        while (keepRunning)
+        catch (e)
         {
-            var stateId0   = stateMachine.currentState;
-            var stateId1   = stateMachine.currentState;
-            var state0     = states[stateId0];
-            var state1     = states[stateId1];
-
-            // by default, only run for one update cycle.
-            keepRunning    = false;
+            client.emit('reload:error', client, null, e);
+            return;
+        }
+        if (message === null || typeof message !== 'object' ||
+            message.type !== 'change' || typeof message.entry !== 'string')
+        {
+            return;
+        }
+        var url = message.url || message.entry;
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) url = client.baseUrl + url;
+        downloaderRequest(client.downloader, url, message);
+    }
 
-            // dispatch events until the state has changed or
-            // there are no more events in the event queue.
-            while (stateId0 === stateId1 && stateMachine.eventCount > 0)
+    /// Replaces a package entry with new data and reloads the asset built from
+    /// it. This is called for each change reported by the development server,
+    /// but may also be called directly by the application.
+    /// @param client The hot-reload client.
+    /// @param packageName The name of the package containing the entry. If
+    /// specified, the cached copy of the package is deleted so that the next
+    /// session downloads it again.
+    /// @param entryName The path of the entry within the package.
+    /// @param data An ArrayBuffer or Uint8Array containing the new contents of
+    /// the entry.
+    function hotReloadEntry(client, packageName, entryName, data)
+    {
+        var bytes  = ArrayBuffer.isView(data) ?
+            new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+            new Uint8Array(data);
+        var old    = client.byName[entryName];
+        var entry  = {
+            name     : entryName,
+            size     : bytes.length,
+            mtime    : Math.floor(Date.now() / 1000),
+            type     : tar_entry_type.FILE,
+            mode     : old ? old.mode : 420, /* 0644 */
+            linkName : '',
+            offset   : 0,
+            data     : bytes
+        };
+        var bundle = {
+            entries  : [entry],
+            byName   : client.byName,
+            assets   : client.assets,
+            reload   : true
+        };
+        client.byName[entryName] = entry;
+        if (packageName && client.cache && client.cache.packages[packageName])
+        {
+            contentCacheDelete(client.cache, packageName);
+        }
+        loadAssetBundle(client.registry, bundle, function (error, assets)
             {
-                // pop an item from the event queue.
-                var ev = stateMachine.eventQueue[eventIndex];
-                stateMachine.eventQueue[eventIndex++] = null;
-
-                // pass the event to the current state implementation.
-                // the state's processEvent function returns a new ID.
-                stateId1 = state0.processEvent(stateMachine, state0, ev);
-                if (stateId0 !== stateId1)
+                for (var name in assets)
+                {
+                    var prev = client.assets[name];
+                    client.assets[name] = assets[name];
+                    client.emit('reload:asset', client, name, assets[name], prev);
+                }
+                if (error)
                 {
-                    // the event triggered a state change.
-                    state1 = states[stateId1];
-                    state0.leave(stateMachine, state0, stateId0, stateId1);
-                    state1.enter(stateMachine, state1, stateId0, stateId1);
-                    keepRunning = true;
+                    client.emit('reload:error', client, entryName, error.errors[0]);
                 }
+            });
+    }
 
-                // run a single update tick for the current state.
-                state1.update(stateMachine, state1, elapsedTime, currentTime);
+    /// Creates a new world for the entity-component system. Entities are IDs
+    /// allocated from an object list, and the components of each type are
+    /// allocated from a separate object list. Systems are functions invoked
+    /// in a defined order by worldUpdate(), which is typically called from
+    /// the simulate callback of a frame driver. The world raises:
+    /// 'entity:create' (world, entityId) after an entity is created.
+    /// 'entity:destroy' (world, entityId) before an entity and its components
+    /// are destroyed, so that handlers can still inspect its components.
+    /// @param maxEntities The maximum number of entities. This value must be a
+    /// power of two. Defaults to ecs.DEFAULT_MAX_ENTITIES.
+    /// @return A new world object, which is an Emitter, or null if
+    /// @a maxEntities is not valid.
+    function createWorld(maxEntities)
+    {
+        maxEntities  = maxEntities || ecs.DEFAULT_MAX_ENTITIES;
+        var capacity = Math.min(ecs.INITIAL_CAPACITY, maxEntities);
+        var entities = createGrowableObjectList(capacity, maxEntities, null, null);
+        if (entities === null)
+        {
+            return null;
+        }
+        return make_emitter({
+            maxEntities : maxEntities,
+            entities    : entities,            /* list of { id, components } */
+            components  : Object.create(null), /* name => component type     */
+            systems     : [],                  /* systems, sorted by order   */
+            nextSystem  : 0                    /* registration sequence      */
+        });
+    }
 
-                // swap state pointers for the next loop iteration.
-                stateMachine.currentState = stateId1;
-                stateId0                  = stateId1;
-                state0                    = state1;
-            }
+    /// Registers a component type with a world.
+    /// @param world The world object.
+    /// @param name The unique name of the component type.
+    /// @param ctorFunc An optional function (args) : object used to create a
+    /// new component. See createObjectList().
+    /// @param dtorFunc An optional function (ref) : void invoked when a
+    /// component is destroyed. See createObjectList().
+    /// @return The component type object, or null if a component type with
+    /// the same name has already been registered.
+    function worldRegisterComponent(world, name, ctorFunc, dtorFunc)
+    {
+        if (world.components[name] !== undefined)
+        {
+            return null;
         }
+        var max  = world.maxEntities;
+        var list = createGrowableObjectList(
+            Math.min(ecs.INITIAL_CAPACITY, max), max, ctorFunc, dtorFunc);
+        var type = {
+            name : name,
+            list : list
+        };
+        world.components[name] = type;
+        return type;
+    }
 
-        // flush all events in the event queue.
-        stateMachine.eventCount = 0;
+    /// Creates a new entity with no components, and raises 'entity:create'.
+    /// @param world The world object.
+    /// @return The entity ID, or -1 if the maximum number of entities exist.
+    function worldCreateEntity(world)
+    {
+        var entity = objectListAllocate(world.entities, {
+            id         : 0,
+            components : Object.create(null) /* name => component ID */
+        });
+        if (entity === null)
+        {
+            return -1;
+        }
+        world.emit('entity:create', world, entity.id);
+        return entity.id;
     }
 
-    /// Constructor function for the core Emitter type, which provides a
-    /// simple node.js-style EventEmitter implementation.
-    var Emitter = function ()
+    /// Determines whether an entity exists.
+    /// @param world The world object.
+    /// @param entityId The entity ID.
+    /// @return true if @a entityId identifies an entity in the world.
+    function worldHasEntity(world, entityId)
     {
-        /* empty */
-    };
+        return objectListHas(world.entities, entityId);
+    }
 
-    /// Registers an event listener for a particular named event type.
-    /// @param event A string specifying the name of the event to listen for.
-    /// @param callback A function to invoke when the event is emitted.
-    /// @return A reference to the calling context.
-    Emitter.prototype.on = function (event, callback)
+    /// Raises 'entity:destroy' and then destroys an entity along with all of
+    /// its components. Entities may be destroyed by systems and by queries.
+    /// @param world The world object.
+    /// @param entityId The entity ID.
+    /// @return true if the entity was destroyed, or false if it did not exist.
+    function worldDestroyEntity(world, entityId)
     {
-        var  listeners   = this.listeners   || {};
-        var  handler     = listeners[event] || []; handler.push(callback);
-        this.listeners   = this.listeners   || listeners;
-        listeners[event] = handler;
-        return this;
-    };
+        if (!objectListHas(world.entities, entityId))
+        {
+            return false;
+        }
+        world.emit('entity:destroy', world, entityId);
+        var entity = objectListGet(world.entities, entityId);
+        for (var name in entity.components)
+        {
+            objectListDelete(world.components[name].list, entity.components[name]);
+        }
+        entity.components = Object.create(null);
+        objectListDelete(world.entities, entityId);
+        return true;
+    }
 
-    /// Registers an event listener to be called once for a named event.
-    /// @param event A string specifying the name of the event to listen for.
-    /// @param callback A function to invoke when the event is emitted.
-    /// @return A reference to the calling context.
-    Emitter.prototype.once = function (event, callback)
+    /// Adds a component to an entity. If the entity already has a component
+    /// of the given type, the existing component is returned.
+    /// @param world The world object.
+    /// @param entityId The entity ID.
+    /// @param name The name of the component type.
+    /// @param args Optional arguments passed to the component constructor.
+    /// @return The component object, or null if the entity does not exist or
+    /// the component type is not registered. The component has an entity
+    /// field storing @a entityId.
+    function worldAddComponent(world, entityId, name, args)
     {
-        var self = this;
-        var func = function ()
-            {
-                self.removeListener(event, func);
-                callback.apply(this, arguments);
-            };
-        func.callback = callback;
-        return self.on(event, func);
-    };
+        var type = world.components[name];
+        if (type === undefined || !objectListHas(world.entities, entityId))
+        {
+            return null;
+        }
+        var entity    = objectListGet(world.entities, entityId);
+        var existing  = entity.components[name];
+        if (existing !== undefined)
+        {
+            return objectListGet(type.list, existing);
+        }
+        var component = objectListAllocate(type.list, args);
+        if (component === null)
+        {
+            return null;
+        }
+        component.entity        = entityId;
+        entity.components[name] = component.id;
+        return component;
+    }
 
-    /// Registers an event listener for a particular named event type.
-    /// @param event A string specifying the name of the event to listen for.
-    /// @param callback A function to invoke when the event is emitted.
-    /// @return A reference to the calling context.
-    Emitter.prototype.addListener = BitstormEmitter.prototype.on; // alias
+    /// Removes a component from an entity.
+    /// @param world The world object.
+    /// @param entityId The entity ID.
+    /// @param name The name of the component type.
+    /// @return true if the component was removed, or false if the entity did
+    /// not have a component of the given type.
+    function worldRemoveComponent(world, entityId, name)
+    {
+        var component = worldGetComponentId(world, entityId, name);
+        if (component === -1)
+        {
+            return false;
+        }
+        delete objectListGet(world.entities, entityId).components[name];
+        objectListDelete(world.components[name].list, component);
+        return true;
+    }
 
-    /// Removes a registered event listener for a particular named event type.
-    /// @param event A string specifying the name of the event.
-    /// @param callback The callback function registered to listen for @a event
-    /// and identifying which listener to remove.
-    /// @return A reference to the calling context.
-    Emitter.prototype.removeListener = function (event, callback)
+    /// Retrieves the ID of the component of a given type attached to an entity.
+    /// @param world The world object.
+    /// @param entityId The entity ID.
+    /// @param name The name of the component type.
+    /// @return The component ID, or -1.
+    function worldGetComponentId(world, entityId, name)
     {
-        var  listeners   = this.listeners   || {};
-        var  handler     = listeners[event] || [];
-        this.listeners   = this.listeners   || listeners;
-        handler.splice(handler.indexOf(callback), 1);
-        listeners[event] = handler;
-        return this;
-    };
+        if (!objectListHas(world.entities, entityId))
+        {
+            return -1;
+        }
+        var id = objectListGet(world.entities, entityId).components[name];
+        return (id !== undefined) ? id : -1;
+    }
 
-    /// Removes all registered event listeners for a particular event type.
-    /// @param event A string specifying the name of the event.
-    /// @return A reference to the calling context.
-    Emitter.prototype.removeAllListeners = function (event)
+    /// Retrieves the component of a given type attached to an entity.
+    /// @param world The world object.
+    /// @param entityId The entity ID.
+    /// @param name The name of the component type.
+    /// @return The component object, or null.
+    function worldGetComponent(world, entityId, name)
     {
-        var  listeners   = this.listeners || {};
-        this.listeners   = this.listeners || listeners;
-        listeners[event] = null;
-        return this;
-    };
+        var id = worldGetComponentId(world, entityId, name);
+        return (id !== -1) ? objectListGet(world.components[name].list, id) : null;
+    }
 
-    /// Emits a named event, immediately invoking all registered listeners. Any
-    /// additional arguments aside from @a event are passed to the listeners.
-    /// @param event A string specifying the name of the event being raised.
-    /// @return A reference to the calling context.
-    Emitter.prototype.emit = function (event)
+    /// Invokes a function for each entity that has all of a set of component
+    /// types. The component list with the fewest components is iterated, so
+    /// the cost is proportional to the rarest component type. Entities and
+    /// components may be created and destroyed by the callback; entities and
+    /// components created during the query are not visited.
+    /// @param world The world object.
+    /// @param names An array of component type names.
+    /// @param func A function (entityId, components) : void, where components
+    /// is an array of the entity's components in the same order as @a names.
+    /// The array is reused for each entity, so it must not be retained.
+    function worldForEach(world, names, func)
     {
-        var  listeners = this.listeners || {};
-        this.listeners = this.listeners || listeners;
-        var  listener  = this.listeners[event];
-        if  (listener)
+        var types     = new Array(names.length);
+        var smallest  = null;
+        for (var i    = 0, n = names.length; i < n; ++i)
         {
-            var count  = arguments.length;
-            var n      = listener.length;
-            var i      = 0;
-            switch (count)
+            types[i]  = world.components[names[i]];
+            if (types[i] === undefined) return;
+            if (smallest === null || types[i].list.count < smallest.list.count)
             {
-                case 1:
-                    for (i = 0; i < n; ++i)
-                        listener[i].call(this);
-                    break;
-                case 2:
-                    for (i = 0; i < n; ++i)
-                        listener[i].call(this, arguments[1]);
-                    break;
-                case 3:
-                    for (i = 0; i < n; ++i)
-                        listener[i].call(this, arguments[1], arguments[2]);
-                    break;
-                default:
-                    var args = Array.prototype.slice.call(arguments, 1);
-                    for (i   = 0; i < n; ++i)
-                        listener[i].apply(this, args);
-                    break;
+                smallest = types[i];
             }
         }
-        return this;
-    };
+        if (smallest === null)
+        {
+            return;
+        }
+        var found     = new Array(names.length);
+        var entities  = world.entities;
+        objectListForEach(smallest.list, function (component)
+            {
+                var entityId = component.entity;
+                if (!objectListHas(entities, entityId)) return;
+                var attached = objectListGet(entities, entityId).components;
+                for (var i   = 0, n = types.length; i < n; ++i)
+                {
+                    var cid  = attached[types[i].name];
+                    if (cid === undefined || !objectListHas(types[i].list, cid)) return;
+                    found[i] = objectListGet(types[i].list, cid);
+                }
+                func(entityId, found);
+            });
+    }
 
-    /// Adds the methods of the Emitter object to a specific instance of an
-    /// existing object. This is different from the inherits() function, which
-    /// adds the Emitter methods to the object prototype.
-    /// @param target The target object instance.
-    /// @return A reference to @a target.
-    function make_emitter(target)
+    /// Finds the entities that have all of a set of component types.
+    /// @param world The world object.
+    /// @param names An array of component type names.
+    /// @param result An optional array used to store the entity IDs. The array
+    /// is cleared before use. If not specified, a new array is created.
+    /// @return An array of entity IDs.
+    function worldQuery(world, names, result)
     {
-        target                    = target || {};
-        target.on                 = Emitter.prototype.on;
-        target.once               = Emitter.prototype.once;
-        target.emit               = Emitter.prototype.emit;
-        target.addListener        = Emitter.prototype.addListener;
-        target.removeListener     = Emitter.prototype.removeListener;
-        target.removeAllListeners = Emitter.prototype.removeAllListeners;
-        return target;
+        result = result || [];
+        result.length = 0;
+        worldForEach(world, names, function (entityId, components)
+            {
+                result.push(entityId);
+            });
+        return result;
     }
 
-    /// Define a utility function to perform prototype inheritence, such that a
-    /// child type inherits the fields and methods of a parent type.
-    /// @param childCtor The constructor function for the child type.
-    /// @param parentCtor The constructor function for the parent type.
-    function inherits(childCtor, parentCtor)
+    /// Registers a system with a world. Systems are run by worldUpdate() in
+    /// ascending order; systems with the same order run in the order in which
+    /// they were registered.
+    /// @param world The world object.
+    /// @param name The unique name of the system.
+    /// @param order A number specifying when the system runs.
+    /// @param update A function (world, elapsedTime, currentTime) : void.
+    /// @return true if the system was registered, or false if a system with
+    /// the same name already exists.
+    function worldAddSystem(world, name, order, update)
     {
-        childCtor.supertype = parentCtor;
-        childCtor.prototype = Object.create(
-            parentCtor.prototype, {
-                constructor : {
-                    value         : childCtor,
-                    enumerable    : false,
-                    writable      : true,
-                    configurable  : true
-                }
+        var systems  = world.systems;
+        for (var i   = 0, n = systems.length; i < n; ++i)
+        {
+            if (systems[i].name === name) return false;
+        }
+        systems.push({
+            name     : name,
+            order    : order,
+            sequence : world.nextSystem++,
+            update   : update
+        });
+        systems.sort(function (a, b)
+            {
+                return (a.order - b.order) || (a.sequence - b.sequence);
             });
+        return true;
+    }
+
+    /// Removes a system from a world.
+    /// @param world The world object.
+    /// @param name The name of the system.
+    /// @return true if the system was removed, or false if it did not exist.
+    function worldRemoveSystem(world, name)
+    {
+        var systems  = world.systems;
+        for (var i   = 0, n = systems.length; i < n; ++i)
+        {
+            if (systems[i].name === name)
+            {
+                systems.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /// Runs each of the systems registered with a world, in order. This is
+    /// typically called from the simulate callback of a frame driver:
+    /// simulate : function (elapsedTime, currentTime) {
+    ///     Bitstorm.worldUpdate(world, elapsedTime, currentTime);
+    /// }
+    /// @param world The world object.
+    /// @param elapsedTime The simulation time step, in seconds.
+    /// @param currentTime The current simulation time, in seconds.
+    function worldUpdate(world, elapsedTime, currentTime)
+    {
+        // copy the list so systems may add or remove systems while running.
+        var systems  = world.systems.slice();
+        for (var i   = 0, n = systems.length; i < n; ++i)
+        {
+            systems[i].update(world, elapsedTime, currentTime);
+        }
     }
 
     /// set the functions and types exported from the module.
@@ -661,25 +6336,130 @@ var Bitstorm = (function (exports)
     exports.updateClock            = updateClock;
     exports.resumeClock            = resumeClock;
     exports.clockStatistics        = clockStatistics;
+    exports.clockSetTimeScale      = clockSetTimeScale;
+    exports.clockSetPaused         = clockSetPaused;
+    exports.clockStep              = clockStep;
+    exports.createVirtualTime      = createVirtualTime;
+    exports.virtualTimeAdvance     = virtualTimeAdvance;
+    exports.createFrameDriver      = createFrameDriver;
+    exports.frameDriverStep        = frameDriverStep;
+    exports.frameDriverAdvance     = frameDriverAdvance;
+    exports.createTimeSync         = createTimeSync;
+    exports.timeSyncAddSample      = timeSyncAddSample;
+    exports.timeSyncUpdate         = timeSyncUpdate;
+    exports.timeSyncReset          = timeSyncReset;
+    exports.objectList             = object_list;
     exports.createObjectList       = createObjectList;
+    exports.createGrowableObjectList = createGrowableObjectList;
     exports.deleteObjectList       = deleteObjectList;
     exports.objectListHas          = objectListHas;
     exports.objectListGet          = objectListGet;
     exports.objectListAllocate     = objectListAllocate;
     exports.objectListDelete       = objectListDelete;
+    exports.objectListSetChecked   = objectListSetChecked;
+    exports.objectListValidate     = objectListValidate;
+    exports.objectListBeginIteration = objectListBeginIteration;
+    exports.objectListEndIteration = objectListEndIteration;
+    exports.objectListForEach      = objectListForEach;
+    exports.objectListFilter       = objectListFilter;
+    exports.objectListFind         = objectListFind;
+    exports.objectListIds          = objectListIds;
+    exports.objectListSnapshot     = objectListSnapshot;
+    exports.objectListRestore      = objectListRestore;
+    exports.structFieldType        = struct_field_type;
+    exports.createStructList       = createStructList;
+    exports.structListHas          = structListHas;
+    exports.structListIndex        = structListIndex;
+    exports.structListAllocate     = structListAllocate;
+    exports.structListDelete       = structListDelete;
     exports.createState            = createState;
     exports.createStateMachine     = createStateMachine;
     exports.stateMachinePostEvent  = stateMachinePostEvent;
     exports.stateMachineFlushQueue = stateMachineFlushQueue;
     exports.stateMachineUpdate     = stateMachineUpdate;
+    exports.stateMachineSetEventPolicy = stateMachineSetEventPolicy;
+    exports.eventPolicy                = event_policy;
+    exports.stateMachineInState        = stateMachineInState;
+    exports.stateMachineSchedule       = stateMachineSchedule;
+    exports.stateMachineScheduleAt     = stateMachineScheduleAt;
+    exports.stateMachineCancelTimer    = stateMachineCancelTimer;
+    exports.stateMachineCancelTimers   = stateMachineCancelTimers;
+    exports.createStateMachineTrace    = createStateMachineTrace;
+    exports.stateMachineSetTrace       = stateMachineSetTrace;
+    exports.stateMachineTraceRecords   = stateMachineTraceRecords;
+    exports.stateMachineTraceClear     = stateMachineTraceClear;
+    exports.stateMachineReplay         = stateMachineReplay;
+    exports.buildStateMachine          = buildStateMachine;
+    exports.stateMachineGraph          = stateMachineGraph;
+    exports.stateMachineToJson         = stateMachineToJson;
+    exports.stateMachineToDot          = stateMachineToDot;
     exports.Emitter                = Emitter;
+    exports.tarEntryType           = tar_entry_type;
+    exports.parseTarArchive        = parseTarArchive;
+    exports.createContentCache     = createContentCache;
+    exports.contentCacheOpen       = contentCacheOpen;
+    exports.contentCacheClose      = contentCacheClose;
+    exports.contentCacheHas        = contentCacheHas;
+    exports.contentCacheVersion    = contentCacheVersion;
+    exports.contentCacheCommit     = contentCacheCommit;
+    exports.contentCacheReadEntry  = contentCacheReadEntry;
+    exports.contentCacheDelete     = contentCacheDelete;
+    exports.contentCachePin        = contentCachePin;
+    exports.contentCacheSetBudget  = contentCacheSetBudget;
+    exports.contentCacheUsage      = contentCacheUsage;
+    exports.contentCacheEnforceBudget = contentCacheEnforceBudget;
+    exports.downloadStatus         = download_status;
+    exports.createDownloader       = createDownloader;
+    exports.downloaderRequest      = downloaderRequest;
+    exports.downloaderCancel       = downloaderCancel;
+    exports.downloaderCancelAll    = downloaderCancelAll;
+    exports.parseManifest          = parseManifest;
+    exports.resolveContent         = resolveContent;
+    exports.crc32                  = crc32;
+    exports.adler32                = adler32;
+    exports.createInflateState     = createInflateState;
+    exports.inflateStep            = inflateStep;
+    exports.inflateResult          = inflateResult;
+    exports.inflate                = inflate;
+    exports.parsePackageArchive    = parsePackageArchive;
+    exports.createAssetRegistry    = createAssetRegistry;
+    exports.registerAssetLoader    = registerAssetLoader;
+    exports.assetRegistryFindLoader = assetRegistryFindLoader;
+    exports.loadPackageAssets      = loadPackageAssets;
+    exports.sha256                 = sha256;
+    exports.computeHash            = computeHash;
+    exports.verifyHash             = verifyHash;
+    exports.verifyPackage          = verifyPackage;
+    exports.contentCacheVerify     = contentCacheVerify;
+    exports.createTarStream        = createTarStream;
+    exports.tarStreamPush          = tarStreamPush;
+    exports.tarStreamEnd           = tarStreamEnd;
+    exports.createHotReloadClient  = createHotReloadClient;
+    exports.hotReloadConnect       = hotReloadConnect;
+    exports.hotReloadClose         = hotReloadClose;
+    exports.hotReloadEntry         = hotReloadEntry;
+    exports.createWorld            = createWorld;
+    exports.worldRegisterComponent = worldRegisterComponent;
+    exports.worldCreateEntity      = worldCreateEntity;
+    exports.worldHasEntity         = worldHasEntity;
+    exports.worldDestroyEntity     = worldDestroyEntity;
+    exports.worldAddComponent      = worldAddComponent;
+    exports.worldRemoveComponent   = worldRemoveComponent;
+    exports.worldGetComponent      = worldGetComponent;
+    exports.worldForEach           = worldForEach;
+    exports.worldQuery             = worldQuery;
+    exports.worldAddSystem         = worldAddSystem;
+    exports.worldRemoveSystem      = worldRemoveSystem;
+    exports.worldUpdate            = worldUpdate;
     return exports;
 }(Bitstorm || {}));
 
 /// Make the document and window references available at the global scope.
 /// Expose a global scriptPath property so bitstorm.js knows its location.
-Bitstorm.window     = window;
-Bitstorm.document   = document;
+/// Outside of a browser, such as when running unit tests under Node.js, the
+/// window and document references are null.
+Bitstorm.window     = (typeof window   !== 'undefined') ? window   : null;
+Bitstorm.document   = (typeof document !== 'undefined') ? document : null;
 Bitstorm.scriptPath = '';
 
 /// Callback invoked when the global window object raises the 'load' event
@@ -699,5 +6479,11 @@ function bitstorm_DocOnLoad()
     document.removeEventListener('DOMContentLoaded', bitstorm_DocOnLoad);
     Bitstorm.emit('dom:ready', Bitstorm);
 }
-window.addEventListener('load', bitstorm_WinOnLoad);
-document.addEventListener('DOMContentLoaded', bitstorm_DocOnLoad);
+if (Bitstorm.window)   window.addEventListener('load', bitstorm_WinOnLoad);
+if (Bitstorm.document) document.addEventListener('DOMContentLoaded', bitstorm_DocOnLoad);
+
+/// Export the module when loaded as a CommonJS module, for example by Node.js.
+if (typeof module !== 'undefined' && module.exports)
+{
+    module.exports = Bitstorm;
+}
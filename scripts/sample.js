@@ -10,16 +10,12 @@ var State                     = {
     frameTimeStep             : 0.0,
     /// The computed desired simulation time step, in seconds.
     logicTimeStep             : 0.0,
-    /// The amount of simulation time for the current frame, in seconds.
-    simulationTime            : 0.0,
-    /// The amount of simulation time left over from the last frame, in seconds.
-    timeAccumulator           : 0.0,
-    /// The number of simulation ticks on the current frame.
-    simulationCount           : 0,
     /// The DOM element monitored by window.requestAnimationFrame.
     domElement                : null,
     /// The global application real-time clock state.
-    clock                     : null
+    clock                     : null,
+    /// The frame driver implementing the fixed time step update loop.
+    driver                    : null
 };
 
 /// Constants representing limit values. We enforce limits on the minimum
@@ -103,13 +99,17 @@ function init(bitstorm)
     var expd               = 1.0 / constants.PRESENTATION_RATE;
     var dom                = document.getElementById('canvas');
     var now                = Date.now();
+    var callbacks          = {
+        tick               : tick,
+        simulate           : simulate,
+        present            : present
+    };
     State.clock            = bitstorm.createClock(expd, mind, maxd, now);
     State.frameTimeStep    = 1.0 / constants.PRESENTATION_RATE;
     State.logicTimeStep    = 1.0 / constants.SIMULATION_RATE;
-    State.simulationTime   = 0.0;
-    State.timeAccumulator  = 0.0;
-    State.simulationCount  = 0;
     State.domElement       = dom;
+    State.driver           = bitstorm.createFrameDriver(
+        State.clock, State.logicTimeStep, callbacks);
 }
 
 /// Callback invoked when Bitstorm.js emits the 'window:ready' event. This
@@ -168,61 +168,17 @@ function frameCallback(currTime)
         currTime = Date.now();
     }
 
-    // cache all of our global state values into local variables.
-    var bitstorm       = Bitstorm;
-    var clockState     = State.clock;
-    var logicStep      = State.logicTimeStep;
-    var frameStep      = State.frameTimeStep;
-    var currentTime    = 0.0;
-    var elapsedTime    = 0.0;
-
     // immediately schedule the next update. this lets us stay as close
     // to 60 Hz as possible if we're forced to use the setTimeout fallback.
     State.updateHandle = requestFrame(frameCallback, State.domElement);
 
-    // indicate the start of a new tick on the clock.
-    bitstorm.updateClock(clockState,currTime);
-    currentTime        = clockState.clientTime;
-    elapsedTime        = clockState.tickDuration;
-
-    // always execute the tick callback.
-    if (!tick(elapsedTime, currentTime))
+    // update the clock and execute the tick, simulate and present callbacks.
+    // the tick duration is scaled by the clock time scale, and is zero while
+    // the clock is paused unless a single step was requested with the
+    // Bitstorm.clockStep() function. see Bitstorm.frameDriverStep().
+    if (!Bitstorm.frameDriverStep(State.driver, currTime))
     {
         // the tick callback returned false. cancel this frame.
         return cancelFrame(State.updateHandle);
     }
-
-    // execute the logic callback. the callback may execute zero times,
-    // one time, or more than one time depending on the update rate. the
-    // simulation logic always executes with a fixed time step.
-    //
-    // start out will all of the time from the current tick
-    // plus any left over time from the prior tick(s). step
-    // at a fixed rate until we have less than one timestep
-    // remaining. at each step, we call the simulate callback.
-    State.timeAccumulator        += elapsedTime;
-    while (State.timeAccumulator >= logicStep)
-    {
-        simulate(logicStep, State.simulationTime);
-        State.simulationTime     += logicStep;
-        State.timeAccumulator    -= logicStep;
-        State.simulationCount    += 1;
-    }
-
-    // execute the presentation callback. we do this only if
-    // the simulation callback is non-null, which means that
-    // we should have valid presentation state data.
-    if (State.simulationCount > 0)
-    {
-        // we may have some unused portion of time remaining
-        // in the timeAccumulator variable, which means that
-        // what gets presented is not quite up-to-date. the
-        // solution is to provide an interpolation factor we
-        // can use to interpolate between the last steps'
-        // simulation state and the current steps' state. This
-        // prevents temporal aliasing from occurring. See:
-        // http://gafferongames.com/game-physics/fix-your-timestep/
-        var t = State.timeAccumulator   / logicStep; // in [0, 1].
-        present(elapsedTime, currentTime, t);
-    }
 }
@@ -347,6 +347,56 @@ var WebGL = (function (exports)
         return true;
     }
 
+    /// Compiles, links and reflects a new version of an existing WebGL shader
+    /// program, replacing the resources held by the program object @a ref in
+    /// place so that existing references to the object remain valid. If the
+    /// new source code fails to compile or link, @a ref is left unmodified and
+    /// continues to use the previous shader program.
+    /// @param ref A WebGL program object instance. See programConstructor().
+    /// @param gl The WebGLRenderingContext.
+    /// @param vertex_source A string specifying the vertex shader source code.
+    /// @param fragment_source A string specifying the fragment shader source.
+    /// @param error_func An optional function with signature:
+    /// function error_func(ref, stage, source_code, info_log_data) : void
+    /// @return true if the program was rebuilt successfully.
+    function rebuildProgram(ref, gl, vertex_source, fragment_source, error_func)
+    {
+        var temp = programConstructor();
+        var errf = function (temp, stage, source_code, info_log_data)
+            {
+                if (error_func) error_func(ref, stage, source_code, info_log_data);
+            };
+        if (!buildProgram(temp, gl, vertex_source, fragment_source, errf))
+        {
+            return false;
+        }
+
+        // release the resources of the previous program, if any.
+        if (ref.programResource)
+        {
+            var old_gl = ref.webglContext;
+            old_gl.detachShader (ref.programResource, ref.fragmentShaderResource);
+            old_gl.detachShader (ref.programResource, ref.vertexShaderResource);
+            old_gl.deleteShader (ref.fragmentShaderResource);
+            old_gl.deleteShader (ref.vertexShaderResource);
+            old_gl.deleteProgram(ref.programResource);
+        }
+
+        // take ownership of the new resources and reflection data.
+        ref.programResource        = temp.programResource;
+        ref.vertexShaderResource   = temp.vertexShaderResource;
+        ref.fragmentShaderResource = temp.fragmentShaderResource;
+        ref.webglContext           = temp.webglContext;
+        ref.boundTextureCount      = 0;
+        ref.uniformNames           = temp.uniformNames;
+        ref.uniformTypes           = temp.uniformTypes;
+        ref.uniformLocations       = temp.uniformLocations;
+        ref.attributeNames         = temp.attributeNames;
+        ref.attributeTypes         = temp.attributeTypes;
+        ref.attributeIndices       = temp.attributeIndices;
+        return true;
+    }
+
     /// Sets the value of a uniform variable in a shader program.
     /// @param ref A WebGL program object instance. See programConstructor()..
     /// @param uniform_name The name of the uniform to set.
@@ -758,6 +808,7 @@ var WebGL = (function (exports)
     exports.textureConstructor  = textureConstructor;
     exports.textureDestructor   = textureDestructor;
     exports.buildProgram        = buildProgram;
+    exports.rebuildProgram      = rebuildProgram;
     exports.bindUniform         = bindUniform;
     exports.createTexture       = createTexture;
     exports.uploadTexture       = uploadTexture;
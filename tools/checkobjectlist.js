@@ -0,0 +1,69 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Exercises the Bitstorm.js object list and checks its internal
+/// consistency with objectListValidate() after each operation. The script has
+/// no dependencies beyond the Node.js standard library, and exits with a
+/// non-zero status if a check fails.
+///
+/// Usage: node tools/checkobjectlist.js
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var Assert   = require('assert');
+var Path     = require('path');
+var Bitstorm = require(Path.join(__dirname, '..', 'scripts', 'bitstorm.js'));
+
+/// Constructs an empty object list item.
+/// @return A new item.
+function createItem()
+{
+    return {};
+}
+
+/// Destroys an object list item.
+/// @param item The item being destroyed.
+function destroyItem(item)
+{
+    /* empty */
+}
+
+/// Asserts that objectListValidate() reports no problems for a list.
+/// @param list The object list instance.
+/// @param step A description of the operation just performed.
+function assertValid(list, step)
+{
+    Assert.deepStrictEqual(Bitstorm.objectListValidate(list), [], step);
+}
+
+/// Allocates a single item and deletes it again. Deleting the last item in
+/// the packed object array must leave the array slot empty.
+function checkAllocateDelete()
+{
+    var list = Bitstorm.createObjectList(16, createItem, destroyItem);
+    var item = Bitstorm.objectListAllocate(list);
+    assertValid(list, 'allocate');
+    Bitstorm.objectListDelete(list, item.id);
+    assertValid(list, 'delete');
+    Assert.strictEqual(list.count, 0);
+    Assert.strictEqual(list.objects[0], null);
+}
+
+/// Deletes the last, first and middle items of a list in turn.
+function checkDeleteOrder()
+{
+    var list  = Bitstorm.createObjectList(16, createItem, destroyItem);
+    var items = [];
+    for (var i = 0; i < 5; ++i)
+    {
+        items.push(Bitstorm.objectListAllocate(list));
+    }
+    Bitstorm.objectListDelete(list, items[4].id);
+    assertValid(list, 'delete last');
+    Bitstorm.objectListDelete(list, items[0].id);
+    assertValid(list, 'delete first');
+    Bitstorm.objectListDelete(list, items[2].id);
+    assertValid(list, 'delete middle');
+    Assert.strictEqual(list.count, 2);
+}
+
+checkAllocateDelete();
+checkDeleteOrder();
+console.log('object list checks passed');
@@ -0,0 +1,305 @@
+/*/////////////////////////////////////////////////////////////////////////////
+/// @summary Implements a small development server for use with the Bitstorm.js
+/// hot-reload client. The server serves static files from a content directory
+/// and notifies connected WebSocket clients when files in that directory are
+/// modified. It has no dependencies beyond the Node.js standard library.
+///
+/// Usage: node tools/devserver.js [contentRoot] [port] [host]
+///
+/// The server only accepts connections from the local machine unless another
+/// host address, such as 0.0.0.0, is specified.
+///
+/// Each top-level directory of the content root is treated as a package, so
+/// a change to 'core/shaders/sprite.fs' is reported to clients as:
+/// { "type" : "change", "package" : "core", "entry" : "shaders/sprite.fs",
+///   "url" : "core/shaders/sprite.fs" }
+/// @author Russell Klenk (russ@ninjabirdstudios.com)
+///////////////////////////////////////////////////////////////////////////80*/
+var Crypto      = require('crypto');
+var Filesystem  = require('fs');
+var Http        = require('http');
+var Path        = require('path');
+
+/// Constants used by the development server.
+var constants   = {
+    /// The default TCP port the server listens on.
+    DEFAULT_PORT      : 8080,
+    /// The default address the server listens on.
+    DEFAULT_HOST      : '127.0.0.1',
+    /// The time to wait for a file to stop changing before notifying clients,
+    /// specified in milliseconds. Editors often write a file several times.
+    SETTLE_DELAY      : 100,
+    /// The GUID appended to the client key during the WebSocket handshake.
+    /// See RFC 6455 section 1.3.
+    WEBSOCKET_GUID    : '258EAFA5-E914-47DA-95CA-C5AB0DC85B11',
+    /// The WebSocket frame opcode for a text message.
+    OPCODE_TEXT       : 0x1,
+    /// The WebSocket frame opcode for a close message.
+    OPCODE_CLOSE      : 0x8,
+    /// The WebSocket frame opcode for a ping message.
+    OPCODE_PING       : 0x9,
+    /// The WebSocket frame opcode for a pong message.
+    OPCODE_PONG       : 0xA
+};
+
+/// Maps file extension to the Content-Type returned for static files.
+var mimeTypes   = {
+    '.html'     : 'text/html',
+    '.js'       : 'application/javascript',
+    '.css'      : 'text/css',
+    '.json'     : 'application/json',
+    '.txt'      : 'text/plain',
+    '.vs'       : 'x-shader/x-vertex',
+    '.fs'       : 'x-shader/x-fragment',
+    '.png'      : 'image/png',
+    '.jpg'      : 'image/jpeg',
+    '.jpeg'     : 'image/jpeg',
+    '.gif'      : 'image/gif',
+    '.webp'     : 'image/webp',
+    '.tar'      : 'application/x-tar',
+    '.gz'       : 'application/gzip'
+};
+
+/// Encodes a single unmasked WebSocket frame, as sent from server to client.
+/// @param opcode One of the OPCODE_* values of the constants object.
+/// @param payload A Buffer containing the frame payload.
+/// @return A Buffer containing the encoded frame.
+function encodeFrame(opcode, payload)
+{
+    var length = payload.length;
+    var header = null;
+    if (length < 126)
+    {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    }
+    else if (length < 65536)
+    {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    }
+    else
+    {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        header.writeUInt32BE(length >>> 0, 6);
+    }
+    header[0] = 0x80 | opcode; // FIN bit set; messages are never fragmented.
+    return Buffer.concat([header, payload]);
+}
+
+/// Decodes as many complete WebSocket frames as are available in a buffer of
+/// data received from a client.
+/// @param buffer A Buffer containing the data received so far.
+/// @param frames An array to which decoded frames are appended. Each frame
+/// is an object { opcode, payload }.
+/// @return The number of bytes consumed from @a buffer.
+function decodeFrames(buffer, frames)
+{
+    var offset = 0;
+    while (buffer.length - offset >= 2)
+    {
+        var opcode = buffer[offset] & 0x0F;
+        var masked = buffer[offset + 1] & 0x80;
+        var length = buffer[offset + 1] & 0x7F;
+        var header = 2;
+        if (length === 126)
+        {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            header = 4;
+        }
+        else if (length === 127)
+        {
+            if (buffer.length - offset < 10) break;
+            length = buffer.readUInt32BE(offset + 2) * 0x100000000 +
+                     buffer.readUInt32BE(offset + 6);
+            header = 10;
+        }
+        var keySize = masked ? 4 : 0;
+        if (buffer.length - offset < header + keySize + length) break;
+        var key     = buffer.slice(offset + header, offset + header + keySize);
+        var payload = Buffer.from(buffer.slice(offset + header + keySize,
+                                               offset + header + keySize + length));
+        for (var i  = 0; masked && i < payload.length; ++i)
+        {
+            payload[i] ^= key[i & 3];
+        }
+        frames.push({ opcode : opcode, payload : payload });
+        offset += header + keySize + length;
+    }
+    return offset;
+}
+
+/// Handles a WebSocket upgrade request by completing the handshake and adding
+/// the connection to the set of clients notified of changes.
+/// @param server The development server state.
+/// @param request The http.IncomingMessage for the upgrade request.
+/// @param socket The net.Socket for the connection.
+function acceptClient(server, request, socket)
+{
+    var key     = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket')
+    {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    var sha1    = Crypto.createHash('sha1');
+    var accept  = sha1.update(key + constants.WEBSOCKET_GUID).digest('base64');
+    var pending = Buffer.alloc(0);
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n'               +
+        'Connection: Upgrade\r\n'              +
+        'Sec-WebSocket-Accept: ' + accept      + '\r\n\r\n');
+    server.clients.push(socket);
+    socket.on('data', function (data)
+        {
+            var frames = [];
+            pending    = Buffer.concat([pending, data]);
+            pending    = pending.slice(decodeFrames(pending, frames));
+            for (var i = 0; i < frames.length; ++i)
+            {
+                var frame = frames[i];
+                if (frame.opcode === constants.OPCODE_CLOSE)
+                {
+                    socket.end(encodeFrame(constants.OPCODE_CLOSE, frame.payload));
+                }
+                else if (frame.opcode === constants.OPCODE_PING)
+                {
+                    socket.write(encodeFrame(constants.OPCODE_PONG, frame.payload));
+                }
+            }
+        });
+    socket.on('close', function ()
+        {
+            var index = server.clients.indexOf(socket);
+            if (index >= 0) server.clients.splice(index, 1);
+        });
+    socket.on('error', function (error)
+        {
+            socket.destroy();
+        });
+}
+
+/// Serves a static file from the content root.
+/// @param server The development server state.
+/// @param request The http.IncomingMessage.
+/// @param response The http.ServerResponse.
+function serveFile(server, request, response)
+{
+    var urlPath  = null;
+    try
+    {
+        urlPath  = decodeURIComponent(request.url.split('?')[0]);
+    }
+    catch (error)
+    {
+        // the path contains a malformed percent-encoded sequence.
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    var filePath = Path.join(server.root, Path.normalize(urlPath));
+    var relative = Path.relative(server.root, filePath);
+    if (relative.split(Path.sep)[0] === '..' || Path.isAbsolute(relative))
+    {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+    Filesystem.readFile(filePath, function (error, data)
+        {
+            if (error)
+            {
+                response.writeHead(404);
+                response.end();
+                return;
+            }
+            var type = mimeTypes[Path.extname(filePath).toLowerCase()];
+            response.writeHead(200, {
+                'Content-Type'  : type || 'application/octet-stream',
+                'Cache-Control' : 'no-cache'
+            });
+            response.end(data);
+        });
+}
+
+/// Sends a change notification for a file to all connected clients.
+/// @param server The development server state.
+/// @param relativePath The path of the changed file, relative to the root.
+function notifyClients(server, relativePath)
+{
+    var parts   = relativePath.split(Path.sep);
+    var message = {
+        type    : 'change',
+        package : parts.length > 1 ? parts[0] : null,
+        entry   : parts.length > 1 ? parts.slice(1).join('/') : parts[0],
+        url     : parts.map(encodeURIComponent).join('/')
+    };
+    var frame   = encodeFrame(constants.OPCODE_TEXT, Buffer.from(JSON.stringify(message)));
+    for (var i  = 0; i < server.clients.length; ++i)
+    {
+        server.clients[i].write(frame);
+    }
+    console.log('changed: ' + parts.join('/'));
+}
+
+/// Watches the content root for modified files. Notifications are delayed
+/// until a file has not changed for constants.SETTLE_DELAY milliseconds.
+/// @param server The development server state.
+function watchContent(server)
+{
+    var timers = {};
+    Filesystem.watch(server.root, { recursive : true }, function (event, name)
+        {
+            if (!name) return;
+            if (timers[name]) clearTimeout(timers[name]);
+            timers[name] = setTimeout(function ()
+                {
+                    delete timers[name];
+                    Filesystem.stat(Path.join(server.root, name), function (error, stats)
+                        {
+                            // deleted files and directories are not reported.
+                            if (!error && stats.isFile()) notifyClients(server, name);
+                        });
+                }, constants.SETTLE_DELAY);
+        });
+}
+
+/// Starts the development server.
+/// @param root The path of the content root directory.
+/// @param port The TCP port to listen on.
+/// @param host The address to listen on.
+/// @return An object representing the server state.
+function startServer(root, port, host)
+{
+    var server  = {
+        root    : Path.resolve(root),
+        port    : port,
+        host    : host,
+        http    : null,
+        clients : []
+    };
+    server.http = Http.createServer(function (request, response)
+        {
+            serveFile(server, request, response);
+        });
+    server.http.on('upgrade', function (request, socket, head)
+        {
+            acceptClient(server, request, socket);
+        });
+    server.http.listen(port, host, function ()
+        {
+            console.log('serving ' + server.root + ' on ' + host + ':' + port);
+        });
+    watchContent(server);
+    return server;
+}
+
+startServer(
+    process.argv[2] || '.',
+    Number(process.argv[3]) || constants.DEFAULT_PORT,
+    process.argv[4] || constants.DEFAULT_HOST);